@@ -1,6 +1,9 @@
 const mongoose = require("mongoose");
 const mongooseLeanExtension = require("../index");
 const applyStringifyAtPath = require("../util/stringifyPaths");
+const objectIdPaths = require("../util/schemaPaths");
+const { toCase } = require("../util/renameKeys");
+const { compilePaths } = require("../util/paths");
 const { MongoMemoryServer } = require("mongodb-memory-server");
 
 let mongo;
@@ -111,6 +114,1929 @@ describe("mongooseLeanExtension plugin", () => {
     });
 });
 
+describe("mongooseLeanExtension on other lean operations", () => {
+    let express;
+
+    beforeEach(async () => {
+        await Package.deleteMany({});
+        [express] = await Package.insertMany([
+            {
+                name: "express",
+                contributors: [{ username: "tjholowaychuk", languages: ["JavaScript"] }],
+            },
+            {
+                name: "react",
+                contributors: [{ username: "gaearon", languages: ["JavaScript"] }],
+            },
+        ]);
+    });
+
+    test("should apply all options to findOneAndUpdate", async () => {
+        const result = await Package.findOneAndUpdate(
+            { name: "express" },
+            { $set: { name: "express.js" } },
+            { new: true }
+        ).lean({ rename: "id", stringifyKeys: ["contributors._id"] });
+
+        expect(result).not.toHaveProperty("_id");
+        expect(result).not.toHaveProperty("__v");
+        expect(result.id).toBe(express._id.toString());
+        expect(result.name).toBe("express.js");
+        expect(typeof result.contributors[0]._id).toBe("string");
+    });
+
+    test("should apply all options to findByIdAndUpdate", async () => {
+        const result = await Package.findByIdAndUpdate(
+            express._id,
+            { $set: { name: "express.js" } },
+            { new: true }
+        ).lean({ showVersion: true });
+
+        expect(result._id).toBe(express._id.toString());
+        expect(result).toHaveProperty("__v");
+    });
+
+    test("should transform the value of findOneAndUpdate with includeResultMetadata", async () => {
+        const result = await Package.findOneAndUpdate(
+            { name: "express" },
+            { $set: { name: "express.js" } },
+            { new: true, includeResultMetadata: true }
+        ).lean();
+
+        expect(result.ok).toBe(1);
+        expect(typeof result.value._id).toBe("string");
+        expect(result.value).not.toHaveProperty("__v");
+    });
+
+    test("should apply all options to findOneAndDelete", async () => {
+        const result = await Package.findOneAndDelete({ name: "react" }).lean({
+            stringifyKeys: ["contributors._id"],
+        });
+
+        expect(typeof result._id).toBe("string");
+        expect(result).not.toHaveProperty("__v");
+        expect(typeof result.contributors[0]._id).toBe("string");
+    });
+
+    test("should apply all options to findOneAndReplace", async () => {
+        const result = await Package.findOneAndReplace(
+            { name: "react" },
+            { name: "preact", contributors: [] },
+            { new: true }
+        ).lean({ rename: "uid" });
+
+        expect(result).not.toHaveProperty("_id");
+        expect(typeof result.uid).toBe("string");
+        expect(result.name).toBe("preact");
+    });
+
+    test("should stringify ObjectIds returned by distinct on _id", async () => {
+        const result = await Package.distinct("_id").lean();
+
+        expect(result).toHaveLength(2);
+        result.forEach((id) => expect(typeof id).toBe("string"));
+    });
+
+    test("should stringify distinct values of a path listed in stringifyKeys", async () => {
+        const result = await Package.distinct("contributors._id").lean({
+            stringifyKeys: ["contributors._id"],
+        });
+
+        expect(result).toHaveLength(2);
+        result.forEach((id) => expect(typeof id).toBe("string"));
+    });
+
+    test("should leave distinct values alone when stringifyId is false", async () => {
+        const result = await Package.distinct("_id").lean({ stringifyId: false });
+        result.forEach((id) => expect(id).toBeInstanceOf(mongoose.Types.ObjectId));
+    });
+
+    test("should apply the lean options of insertMany({ lean })", async () => {
+        const result = await Package.insertMany([{ name: "vue" }, { name: "svelte" }], {
+            lean: { rename: "id" },
+        });
+
+        result.forEach((pkg) => {
+            expect(pkg).not.toHaveProperty("_id");
+            expect(typeof pkg.id).toBe("string");
+        });
+    });
+
+    test("should not touch hydrated documents returned by insertMany", async () => {
+        const [result] = await Package.insertMany([{ name: "vue" }]);
+        expect(result._id).toBeInstanceOf(mongoose.Types.ObjectId);
+    });
+});
+
+describe("mongooseLeanExtension default options", () => {
+    let instance;
+    let Global, Configured, Declared;
+
+    beforeAll(async () => {
+        // A mongoose instance of its own, its global plugin does not leak into the other suites
+        instance = new mongoose.Mongoose();
+        await instance.connect(mongo.getUri());
+        instance.plugin(mongooseLeanExtension, { rename: "id", showVersion: true });
+
+        Global = instance.model("DefaultsGlobal", new instance.Schema({ name: String }));
+
+        const ConfiguredSchema = new instance.Schema({ name: String, owner: instance.Schema.Types.ObjectId });
+        ConfiguredSchema.plugin(mongooseLeanExtension, { rename: "configuredId", stringifyKeys: ["owner"] });
+        Configured = instance.model("DefaultsConfigured", ConfiguredSchema);
+
+        const DeclaredSchema = new instance.Schema(
+            { name: String },
+            { leanExtension: { rename: "declaredId", showVersion: false } }
+        );
+        DeclaredSchema.plugin(mongooseLeanExtension, { rename: "configuredId" });
+        Declared = instance.model("DefaultsDeclared", DeclaredSchema);
+    });
+
+    afterAll(async () => {
+        await instance.disconnect();
+    });
+
+    beforeEach(async () => {
+        await Promise.all([Global.deleteMany({}), Configured.deleteMany({}), Declared.deleteMany({})]);
+        await Global.create({ name: "express" });
+        await Configured.create({ name: "koa", owner: new mongoose.Types.ObjectId() });
+        await Declared.create({ name: "react" });
+    });
+
+    test("should apply the global plugin options to every lean query", async () => {
+        const result = await Global.findOne().lean();
+        expect(typeof result.id).toBe("string");
+        expect(result).not.toHaveProperty("_id");
+        expect(result).toHaveProperty("__v");
+    });
+
+    test("should let schema.plugin() options win over the global ones, key by key", async () => {
+        const result = await Configured.findOne().lean();
+        expect(typeof result.configuredId).toBe("string");
+        expect(typeof result.owner).toBe("string");
+        // showVersion still comes from the global options
+        expect(result).toHaveProperty("__v");
+        expect(result).not.toHaveProperty("id");
+    });
+
+    test("should let the leanExtension schema option win over plugin options", async () => {
+        const result = await Declared.findOne().lean();
+        expect(typeof result.declaredId).toBe("string");
+        expect(result).not.toHaveProperty("configuredId");
+        expect(result).not.toHaveProperty("__v");
+    });
+
+    test("should let query options win over every default", async () => {
+        const result = await Declared.findOne().lean({ rename: "queryId", showVersion: true });
+        expect(typeof result.queryId).toBe("string");
+        expect(result).toHaveProperty("__v");
+    });
+
+    test("should leave queries without lean untouched", async () => {
+        const [lean, hydrated] = await Promise.all([Global.findOne().lean(false), Global.findOne()]);
+        expect(lean._id).toBeInstanceOf(mongoose.Types.ObjectId);
+        expect(hydrated._id).toBeInstanceOf(mongoose.Types.ObjectId);
+    });
+
+    test("should apply the defaults to aggregations with leanExtension: true", async () => {
+        const [result] = await Configured.aggregate([{ $match: {} }]).option({ leanExtension: true });
+        expect(typeof result.configuredId).toBe("string");
+        expect(typeof result.owner).toBe("string");
+    });
+});
+
+describe("mongooseLeanExtension on aggregations", () => {
+    const ReleaseSchema = new mongoose.Schema({
+        version: String,
+        package: { type: mongoose.Schema.Types.ObjectId, ref: "Package" },
+    });
+    ReleaseSchema.plugin(mongooseLeanExtension);
+    const Release = mongoose.model("Release", ReleaseSchema);
+
+    let express;
+
+    beforeEach(async () => {
+        await Package.deleteMany({});
+        await Release.deleteMany({});
+        [express] = await Package.insertMany([
+            { name: "express", contributors: [{ username: "dougwilson", languages: ["JavaScript"] }] },
+        ]);
+        await Release.insertMany([
+            { version: "4.0.0", package: express._id },
+            { version: "5.0.0", package: express._id },
+        ]);
+    });
+
+    test("should leave aggregations without the leanExtension option untouched", async () => {
+        const result = await Package.aggregate([{ $match: {} }]);
+        expect(result[0]._id).toBeInstanceOf(mongoose.Types.ObjectId);
+        expect(result[0]).toHaveProperty("__v");
+    });
+
+    test("should stringify _id and remove __v with leanExtension: true", async () => {
+        const result = await Package.aggregate([{ $match: {} }]).option({ leanExtension: true });
+        expect(result[0]._id).toBe(express._id.toString());
+        expect(result[0]).not.toHaveProperty("__v");
+    });
+
+    test("should stringify ObjectId $group keys and rename them", async () => {
+        const result = await Release.aggregate([
+            { $group: { _id: "$package", releases: { $sum: 1 } } },
+        ]).option({ leanExtension: { rename: "packageId" } });
+
+        expect(result).toEqual([{ packageId: express._id.toString(), releases: 2 }]);
+    });
+
+    test("should stringify the ObjectIds of compound $group keys", async () => {
+        const result = await Release.aggregate([
+            { $group: { _id: { package: "$package", version: "$version" } } },
+        ]).option({ leanExtension: true });
+
+        expect(result).toHaveLength(2);
+        result.forEach(({ _id }) => {
+            expect(_id.package).toBe(express._id.toString());
+            expect(typeof _id.version).toBe("string");
+        });
+    });
+
+    test("should stringify $lookup output listed in stringifyKeys", async () => {
+        const result = await Release.aggregate([
+            { $lookup: { from: "packages", localField: "package", foreignField: "_id", as: "package" } },
+        ]).option({ leanExtension: { stringifyKeys: ["package._id", "package.contributors._id"] } });
+
+        result.forEach((release) => {
+            expect(typeof release._id).toBe("string");
+            expect(release.package[0]._id).toBe(express._id.toString());
+            expect(typeof release.package[0].contributors[0]._id).toBe("string");
+        });
+    });
+
+    test("should keep _id as ObjectId when stringifyId is false", async () => {
+        const result = await Release.aggregate([{ $match: {} }]).option({
+            leanExtension: { stringifyId: false, showVersion: true },
+        });
+        result.forEach((release) => {
+            expect(release._id).toBeInstanceOf(mongoose.Types.ObjectId);
+            expect(release).toHaveProperty("__v");
+        });
+    });
+});
+
+describe("mongooseLeanExtension on populated documents", () => {
+    const CompanySchema = new mongoose.Schema({ name: String }, { versionKey: "revision" });
+    CompanySchema.plugin(mongooseLeanExtension);
+    const Company = mongoose.model("Company", CompanySchema);
+
+    const AuthorSchema = new mongoose.Schema({
+        name: String,
+        company: { type: mongoose.Schema.Types.ObjectId, ref: "Company" },
+    });
+    AuthorSchema.plugin(mongooseLeanExtension);
+    const Author = mongoose.model("Author", AuthorSchema);
+
+    const PostSchema = new mongoose.Schema({
+        title: String,
+        author: { type: mongoose.Schema.Types.ObjectId, ref: "Author" },
+        reviewers: [{ type: mongoose.Schema.Types.ObjectId, ref: "Author" }],
+    });
+    PostSchema.plugin(mongooseLeanExtension);
+    const Post = mongoose.model("Post", PostSchema);
+
+    let company, author, reviewer;
+
+    beforeEach(async () => {
+        await Promise.all([Company.deleteMany({}), Author.deleteMany({}), Post.deleteMany({})]);
+        company = await Company.create({ name: "OpenJS" });
+        [author, reviewer] = await Author.create([
+            { name: "Doug", company: company._id },
+            { name: "Wes", company: company._id },
+        ]);
+        await Post.create([
+            { title: "Express 5", author: author._id, reviewers: [reviewer._id] },
+            { title: "Express 6", author: author._id, reviewers: [author._id, reviewer._id] },
+        ]);
+    });
+
+    test("should still populate renamed documents without the populated option", async () => {
+        const [post] = await Post.find().populate("author").lean({ rename: "id" });
+
+        expect(typeof post.id).toBe("string");
+        // The populate query runs Author's own hooks, but its _id is what mongoose matches populated documents by
+        expect(post.author._id).toBe(author._id.toString());
+        expect(post.author).not.toHaveProperty("id");
+    });
+
+    test("should stringify _id and remove __v of every populated document with populated: true", async () => {
+        const posts = await Post.find().populate("author reviewers").lean({ populated: true });
+
+        posts.forEach((post) => {
+            expect(typeof post._id).toBe("string");
+            expect(post.author._id).toBe(author._id.toString());
+            expect(post.author).not.toHaveProperty("__v");
+            post.reviewers.forEach((r) => {
+                expect(typeof r._id).toBe("string");
+                expect(r).not.toHaveProperty("__v");
+            });
+        });
+    });
+
+    test("should rename the _id of populated documents, shared ones included", async () => {
+        const posts = await Post.find().populate(["author", "reviewers"]).lean({
+            rename: "id",
+            populated: true,
+        });
+
+        posts.forEach((post) => {
+            expect(post.author).toEqual({ id: author._id.toString(), name: "Doug", company: company._id });
+            post.reviewers.forEach((r) => {
+                expect(r).not.toHaveProperty("_id");
+                expect(typeof r.id).toBe("string");
+            });
+        });
+    });
+
+    test("should only transform the listed populated paths", async () => {
+        const [post] = await Post.find().populate("author reviewers").lean({ populated: ["reviewers"] });
+
+        expect(post.author._id).toBeInstanceOf(mongoose.Types.ObjectId);
+        expect(typeof post.reviewers[0]._id).toBe("string");
+    });
+
+    test("should apply per-path options to populated documents", async () => {
+        const post = await Post.findOne({ title: "Express 5" })
+            .populate("author")
+            .lean({ populated: { author: { rename: "authorId", showVersion: true } } });
+
+        expect(typeof post._id).toBe("string");
+        expect(post.author.authorId).toBe(author._id.toString());
+        expect(post.author).toHaveProperty("__v");
+    });
+
+    test("should follow nested populate chains using the populated model's version key", async () => {
+        const post = await Post.findOne({ title: "Express 5" })
+            .populate({ path: "author", populate: { path: "company" } })
+            .lean({ populated: true });
+
+        expect(post.author.company._id).toBe(company._id.toString());
+        expect(post.author.company).not.toHaveProperty("revision");
+        expect(post.author).not.toHaveProperty("__v");
+    });
+
+    test("should keep the version key of nested populated documents with showVersion", async () => {
+        const post = await Post.findOne({ title: "Express 5" })
+            .populate({ path: "author", populate: { path: "company" } })
+            .lean({ populated: { "author.company": { showVersion: true } } });
+
+        expect(post.author.company).toHaveProperty("revision");
+        expect(post.author._id).toBeInstanceOf(mongoose.Types.ObjectId);
+    });
+
+    test("should apply the populated model's own defaults rather than the parent's", async () => {
+        const ReaderSchema = new mongoose.Schema({ name: String }, { leanExtension: { rename: "readerId", showVersion: true } });
+        ReaderSchema.plugin(mongooseLeanExtension);
+        const Reader = mongoose.model("Reader", ReaderSchema);
+        const ShelfSchema = new mongoose.Schema({ title: String, reader: { type: mongoose.Schema.Types.ObjectId, ref: "Reader" } });
+        ShelfSchema.plugin(mongooseLeanExtension, { rename: "shelfId" });
+        const Shelf = mongoose.model("Shelf", ShelfSchema);
+        const reader = await Reader.create({ name: "Ada" });
+        await Shelf.create({ title: "Classics", reader: reader._id });
+
+        const own = await Reader.findOne().lean();
+        expect(own).toEqual({ readerId: reader._id.toString(), name: "Ada", __v: 0 });
+
+        const shelf = await Shelf.findOne().populate("reader").lean({ populated: true });
+        expect(shelf).toEqual({ shelfId: expect.any(String), title: "Classics", reader: own });
+
+        // Options of the query win over the populated model's defaults
+        const renamed = await Shelf.findOne().populate("reader").lean({ populated: true, rename: "id" });
+        expect(renamed.reader).toEqual({ id: reader._id.toString(), name: "Ada", __v: 0 });
+    });
+
+    test("should transform a populated document shared by streamed documents once", async () => {
+        const posts = [];
+        for await (const post of Post.find().populate("author").lean({ rename: "id", populated: true }).cursor({ batchSize: 2 })) {
+            posts.push(post);
+        }
+
+        expect(posts).toHaveLength(2);
+        posts.forEach((post) => expect(post.author).toEqual({ id: author._id.toString(), name: "Doug", company: company._id }));
+    });
+});
+
+describe("mongooseLeanExtension on cursors", () => {
+    const { Writable } = require("stream");
+
+    beforeEach(async () => {
+        await Package.deleteMany({});
+        await Package.insertMany([
+            { name: "express", contributors: [{ username: "dougwilson", languages: ["JavaScript"] }] },
+            { name: "koa", contributors: [{ username: "tjholowaychuk", languages: ["JavaScript"] }] },
+            { name: "react", contributors: [{ username: "gaearon", languages: ["JavaScript", "TypeScript"] }] },
+        ]);
+    });
+
+    test("should transform documents iterated with for await", async () => {
+        const result = [];
+        for await (const pkg of Package.find().lean({ rename: "id", stringifyKeys: ["contributors._id"] }).cursor({ batchSize: 2 })) {
+            result.push(pkg);
+        }
+
+        expect(result).toHaveLength(3);
+        result.forEach((pkg) => {
+            expect(typeof pkg.id).toBe("string");
+            expect(pkg).not.toHaveProperty("_id");
+            expect(pkg).not.toHaveProperty("__v");
+            expect(typeof pkg.contributors[0]._id).toBe("string");
+        });
+    });
+
+    test("should transform documents iterated with eachAsync", async () => {
+        const result = [];
+        await Package.find()
+            .lean({ showVersion: true })
+            .cursor({ batchSize: 1 })
+            .eachAsync((pkg) => result.push(pkg));
+
+        expect(result).toHaveLength(3);
+        result.forEach((pkg) => {
+            expect(typeof pkg._id).toBe("string");
+            expect(pkg).toHaveProperty("__v");
+        });
+    });
+
+    test("should transform documents piped to a stream", async () => {
+        const result = [];
+        await new Promise((resolve, reject) => {
+            const sink = new Writable({
+                objectMode: true,
+                write(pkg, encoding, callback) {
+                    result.push(pkg);
+                    callback();
+                },
+            });
+            Package.find().lean({ rename: "packageId" }).cursor().pipe(sink).on("finish", resolve).on("error", reject);
+        });
+
+        expect(result).toHaveLength(3);
+        result.forEach((pkg) => expect(typeof pkg.packageId).toBe("string"));
+    });
+
+    test("should leave streamed documents untouched without lean", async () => {
+        for await (const pkg of Package.find().cursor()) {
+            expect(pkg._id).toBeInstanceOf(mongoose.Types.ObjectId);
+        }
+    });
+
+    test("should transform aggregation cursors with the leanExtension option", async () => {
+        const result = [];
+        for await (const pkg of Package.aggregate([{ $match: {} }]).option({ leanExtension: { rename: "id" } }).cursor()) {
+            result.push(pkg);
+        }
+        await Package.aggregate([{ $match: {} }])
+            .option({ leanExtension: true })
+            .cursor({ batchSize: 1 })
+            .eachAsync((pkg) => result.push(pkg));
+
+        expect(result).toHaveLength(6);
+        result.slice(0, 3).forEach((pkg) => {
+            expect(typeof pkg.id).toBe("string");
+            expect(pkg).not.toHaveProperty("__v");
+        });
+        result.slice(3).forEach((pkg) => expect(typeof pkg._id).toBe("string"));
+    });
+
+    test("should transform aggregation rows shaped like the results of an async iterator", async () => {
+        const pipeline = [{ $project: { _id: 0, value: "$_id", done: { $literal: false } } }];
+        const options = { leanExtension: { stringifyKeys: ["value"] } };
+        const rows = [];
+        for await (const row of Package.aggregate(pipeline).option(options).cursor()) rows.push(row);
+        for await (const row of Package.aggregate(pipeline).option(options)) rows.push(row);
+        const cursor = Package.aggregate(pipeline).option(options).cursor();
+        for (let row = await cursor.next(); row; row = await cursor.next()) rows.push(row);
+        await Package.aggregate(pipeline).option(options).cursor().eachAsync((row) => rows.push(row));
+
+        expect(rows).toHaveLength(12);
+        rows.forEach((row) => expect(row).toEqual({ value: expect.any(String), done: false }));
+    });
+
+    test("should leave the aggregation cursors of models without the plugin alone", async () => {
+        const Plain = mongoose.models.PlainAggregate ?? mongoose.model("PlainAggregate", new mongoose.Schema({ name: String }));
+        await Plain.create({ name: "plain" });
+
+        expect(Object.hasOwn(mongoose.Aggregate.prototype.cursor, "leanExtension")).toBe(false);
+        expect(Object.hasOwn(Plain.aggregate([]), "cursor")).toBe(false);
+        const rows = [];
+        for await (const row of Plain.aggregate([]).option({ leanExtension: { rename: "id" } })) rows.push(row);
+        expect(rows).toEqual([expect.objectContaining({ _id: expect.any(mongoose.Types.ObjectId), name: "plain" })]);
+    });
+
+    test("should transform the cursors of aggregates made without Model.aggregate()", async () => {
+        const names = [];
+        const aggregate = new mongoose.Aggregate([{ $match: {} }]).option({ leanExtension: { rename: "id" } });
+        aggregate.model(Package);
+        await aggregate.cursor().eachAsync((pkg) => names.push(typeof pkg.id));
+        expect(names).toEqual(["string", "string", "string"]);
+    });
+
+    test("should run a cursor transform of the caller's own on the transformed document", async () => {
+        const names = [];
+        await Package.aggregate([{ $match: {} }])
+            .option({ leanExtension: { rename: "id" } })
+            .cursor({ transform: (pkg) => `${pkg.name}:${typeof pkg.id}` })
+            .eachAsync((name) => names.push(name));
+
+        expect(names.sort()).toEqual(["express:string", "koa:string", "react:string"]);
+    });
+});
+
+describe("mongooseLeanExtension with stringifyKeys: auto", () => {
+    const MemberSchema = new mongoose.Schema({
+        account: { type: mongoose.Schema.Types.ObjectId, ref: "Account" },
+        role: String,
+    });
+    const TeamSchema = new mongoose.Schema({
+        name: String,
+        owner: { type: mongoose.Schema.Types.ObjectId, ref: "Account" },
+        tags: [mongoose.Schema.Types.ObjectId],
+        members: [MemberSchema],
+        lead: MemberSchema,
+        meta: { createdBy: mongoose.Schema.Types.ObjectId },
+        links: { type: Map, of: mongoose.Schema.Types.ObjectId },
+    });
+    TeamSchema.plugin(mongooseLeanExtension);
+    const Team = mongoose.model("Team", TeamSchema);
+
+    beforeEach(async () => {
+        await Team.deleteMany({});
+        const id = () => new mongoose.Types.ObjectId();
+        await Team.create({
+            name: "core",
+            owner: id(),
+            tags: [id(), id()],
+            members: [{ account: id(), role: "admin" }, { account: id() }],
+            lead: { account: id() },
+            meta: { createdBy: id() },
+            links: { docs: id(), repo: id() },
+        });
+    });
+
+    test("should stringify every ObjectId path of the schema", async () => {
+        const team = await Team.findOne().lean({ stringifyKeys: "auto" });
+
+        expect(typeof team._id).toBe("string");
+        expect(typeof team.owner).toBe("string");
+        team.tags.forEach((tag) => expect(typeof tag).toBe("string"));
+        team.members.forEach((member) => {
+            expect(typeof member._id).toBe("string");
+            expect(typeof member.account).toBe("string");
+        });
+        expect(typeof team.lead._id).toBe("string");
+        expect(typeof team.lead.account).toBe("string");
+        expect(typeof team.meta.createdBy).toBe("string");
+        expect(typeof team.links.docs).toBe("string");
+        expect(typeof team.links.repo).toBe("string");
+    });
+
+    test("should accept wildcard and recursive descent paths in stringifyKeys", async () => {
+        const team = await Team.findOne().lean({ stringifyKeys: ["**._id", "links.*", "members.0.account"] });
+
+        expect(typeof team.members[0]._id).toBe("string");
+        expect(typeof team.lead._id).toBe("string");
+        expect(typeof team.links.docs).toBe("string");
+        expect(typeof team.members[0].account).toBe("string");
+        expect(team.members[1].account).toBeInstanceOf(mongoose.Types.ObjectId);
+        expect(team.owner).toBeInstanceOf(mongoose.Types.ObjectId);
+    });
+
+    test("should apply auto to distinct values of ObjectId paths", async () => {
+        const accounts = await Team.distinct("members.account").lean({ stringifyKeys: "auto" });
+        expect(accounts).toHaveLength(2);
+        accounts.forEach((account) => expect(typeof account).toBe("string"));
+    });
+});
+
+describe("mongooseLeanExtension with the convert option", () => {
+    const InvoiceSchema = new mongoose.Schema({
+        price: mongoose.Schema.Types.Decimal128,
+        views: BigInt,
+        token: mongoose.Schema.Types.UUID,
+        issuedAt: Date,
+        lines: [{ amount: mongoose.Schema.Types.Decimal128, at: Date }],
+    });
+    InvoiceSchema.plugin(mongooseLeanExtension);
+    const Invoice = mongoose.model("Invoice", InvoiceSchema);
+
+    const issuedAt = new Date("2025-05-30T21:34:56.981Z");
+    const token = "4b3ae9f8-6c68-4d59-95a5-8ed1f6b7b7a1";
+
+    beforeEach(async () => {
+        await Invoice.deleteMany({});
+        await Invoice.create({
+            price: "19.99",
+            views: 9007199254740993n,
+            token,
+            issuedAt,
+            lines: [{ amount: "5.50", at: issuedAt }],
+        });
+    });
+
+    test("should leave other BSON types alone without convert", async () => {
+        const invoice = await Invoice.findOne().lean();
+        expect(invoice.price).toBeInstanceOf(mongoose.Types.Decimal128);
+        expect(invoice.issuedAt).toBeInstanceOf(Date);
+    });
+
+    test("should convert every value of the document", async () => {
+        const invoice = await Invoice.findOne().lean({
+            convert: { Decimal128: "number", Long: "string", UUID: "string", Date: "iso" },
+        });
+
+        expect(invoice.price).toBe(19.99);
+        expect(invoice.views).toBe("9007199254740993");
+        expect(invoice.token).toBe(token);
+        expect(invoice.issuedAt).toBe(issuedAt.toISOString());
+        expect(invoice.lines[0]).toMatchObject({ amount: 5.5, at: issuedAt.toISOString() });
+        expect(typeof invoice._id).toBe("string");
+    });
+
+    test("should only convert the listed paths", async () => {
+        const invoice = await Invoice.findOne().lean({
+            convert: { Decimal128: "string", Date: "epoch", paths: ["lines.*.amount", "issuedAt"] },
+        });
+
+        expect(invoice.price).toBeInstanceOf(mongoose.Types.Decimal128);
+        expect(invoice.lines[0].amount).toBe("5.50");
+        expect(invoice.lines[0].at).toBeInstanceOf(Date);
+        expect(invoice.issuedAt).toBe(issuedAt.getTime());
+    });
+
+    test("should convert legacy subtype 3 UUIDs as stored rather than reject the query", async () => {
+        const legacy = new mongoose.mongo.Binary(Buffer.from(token.replace(/-/g, ""), "hex"), 3);
+        await Invoice.collection.insertOne({ token: legacy });
+
+        const invoice = await Invoice.findOne({ token: { $exists: true }, price: { $exists: false } }).lean({ convert: { UUID: "string" } });
+        expect(invoice.token).toBe(token);
+    });
+
+    test("should convert Long to bigint", async () => {
+        const invoice = await Invoice.findOne().lean({ convert: { Long: "bigint" } });
+        expect(invoice.views).toBe(9007199254740993n);
+    });
+
+    test("should warn once about unsafe numeric conversions", async () => {
+        const warn = jest.spyOn(process, "emitWarning").mockImplementation(() => {});
+
+        await Invoice.find().lean({ convert: { Long: "number" } });
+        await Invoice.find().lean({ convert: { Long: "number" } });
+
+        expect(warn).toHaveBeenCalledTimes(1);
+        expect(warn.mock.calls[0][0]).toMatch(/Long 9007199254740993 at "views" of Invoice/);
+        warn.mockRestore();
+    });
+
+    test("should reject unsupported conversion targets", async () => {
+        await expect(Invoice.find().lean({ convert: { Date: "unix" } })).rejects.toThrow(TypeError);
+    });
+});
+
+describe("mongooseLeanExtension with renameKeys and keyCase", () => {
+    let express;
+
+    beforeEach(async () => {
+        await Package.deleteMany({});
+        [express] = await Package.insertMany([
+            {
+                name: "express",
+                contributors: [
+                    { username: "tjholowaychuk", languages: ["JavaScript"] },
+                    { username: "dougwilson", languages: ["JavaScript"] },
+                ],
+            },
+        ]);
+    });
+
+    test("should rename keys at dot-paths, into subdocument arrays", async () => {
+        const pkg = await Package.findOne().lean({
+            renameKeys: { createdAt: "created", "contributors.username": "login" },
+        });
+
+        expect(pkg.created).toBeInstanceOf(Date);
+        expect(pkg).not.toHaveProperty("createdAt");
+        pkg.contributors.forEach((contributor) => {
+            expect(typeof contributor.login).toBe("string");
+            expect(contributor).not.toHaveProperty("username");
+        });
+    });
+
+    test("should rewrite every key to snake_case, keeping _id and its rename", async () => {
+        const pkg = await Package.findOne().lean({ keyCase: "snake", rename: "packageId" });
+
+        expect(Object.keys(pkg).sort()).toEqual(["contributors", "created_at", "name", "packageId", "updated_at"]);
+        expect(typeof pkg.contributors[0]._id).toBe("object");
+    });
+
+    test("should keep the names given by renameKeys and convert their values", async () => {
+        const pkg = await Package.findOne().lean({
+            keyCase: "kebab",
+            renameKeys: { updatedAt: "lastModified", contributors: "teamMembers" },
+        });
+
+        expect(pkg).toHaveProperty("lastModified");
+        expect(pkg).toHaveProperty("created-at");
+        expect(pkg.teamMembers[0]).toHaveProperty("username");
+    });
+
+    test("should leave excluded paths and everything below them as they are", async () => {
+        await Package.collection.updateOne(
+            { _id: express._id },
+            { $set: { meta: { buildTool: "npm", rawHeaders: { "X-Powered-By": "Express" } } } }
+        );
+
+        const pkg = await Package.findOne().lean({ keyCase: { to: "snake", exclude: ["meta.rawHeaders", "updatedAt"] } });
+
+        expect(pkg.meta).toEqual({ build_tool: "npm", rawHeaders: { "X-Powered-By": "Express" } });
+        expect(pkg).toHaveProperty("updatedAt");
+        expect(pkg).toHaveProperty("created_at");
+    });
+
+    test("should leave the keys of Map and Mixed paths as they are unless dataKeys converts them", async () => {
+        const CatalogSchema = new mongoose.Schema({
+            listName: String,
+            prices: { type: Map, of: Number },
+            extraInfo: mongoose.Schema.Types.Mixed,
+            variants: { type: Map, of: new mongoose.Schema({ unitPrice: Number }, { _id: false }) },
+        });
+        CatalogSchema.plugin(mongooseLeanExtension);
+        const Catalog = mongoose.model("Catalog", CatalogSchema);
+        await Catalog.create({
+            listName: "spring",
+            prices: { myKey: 1 },
+            extraInfo: { colorCode: "red", nested: { sizeLabel: "L" } },
+            variants: { largeBox: { unitPrice: 4 } },
+        });
+
+        const catalog = await Catalog.findOne().lean({ keyCase: "snake" });
+        expect(catalog).toMatchObject({
+            list_name: "spring",
+            prices: { myKey: 1 },
+            extra_info: { colorCode: "red", nested: { sizeLabel: "L" } },
+            variants: { largeBox: { unit_price: 4 } },
+        });
+
+        const converted = await Catalog.findOne().lean({ keyCase: { to: "snake", dataKeys: true } });
+        expect(converted).toMatchObject({ prices: { my_key: 1 }, extra_info: { color_code: "red" }, variants: { large_box: { unit_price: 4 } } });
+    });
+
+    test("should convert snake_case keys back to camelCase", async () => {
+        await Package.collection.updateOne({ _id: express._id }, { $set: { release_notes: { last_version: "5.0.0" } } });
+
+        const pkg = await Package.findOne().lean({ keyCase: "camel" });
+        expect(pkg.releaseNotes).toEqual({ lastVersion: "5.0.0" });
+        expect(pkg).toHaveProperty("createdAt");
+    });
+
+    test("should throw on unsupported cases and names", async () => {
+        await expect(Package.findOne().lean({ keyCase: "pascal" })).rejects.toThrow(TypeError);
+        await expect(Package.findOne().lean({ renameKeys: { name: "" } })).rejects.toThrow(TypeError);
+    });
+});
+
+describe("mongooseLeanExtension with translateQuery", () => {
+    const TicketSchema = new mongoose.Schema({
+        title: String,
+        priority: Number,
+        assignee: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        watchers: [mongoose.Schema.Types.ObjectId],
+    });
+    TicketSchema.plugin(mongooseLeanExtension, { rename: "id", translateQuery: true });
+    const Ticket = mongoose.model("Ticket", TicketSchema);
+
+    const assignee = new mongoose.Types.ObjectId();
+    let tickets;
+
+    beforeEach(async () => {
+        await Ticket.deleteMany({});
+        tickets = await Ticket.insertMany([
+            { title: "Crash on boot", priority: 1, assignee, watchers: [assignee] },
+            { title: "Typo in docs", priority: 3 },
+            { title: "Slow export", priority: 2, assignee },
+        ]);
+    });
+
+    test("should find documents by the renamed key, as a string", async () => {
+        const id = tickets[1]._id.toString();
+        const [byFilter, byId] = await Promise.all([
+            Ticket.findOne({ id }).lean(),
+            Ticket.find({ id: { $in: [id] } }).lean(),
+        ]);
+
+        expect(byFilter).toEqual({ id, title: "Typo in docs", priority: 3, watchers: [] });
+        expect(byId).toHaveLength(1);
+    });
+
+    test("should translate nested $or filters and cast string ids at ObjectId paths", async () => {
+        const result = await Ticket.find({
+            $or: [{ id: tickets[1]._id.toString() }, { assignee: assignee.toString(), priority: 2 }],
+        }).lean();
+
+        expect(result.map((ticket) => ticket.title).sort()).toEqual(["Slow export", "Typo in docs"]);
+    });
+
+    test("should translate the renamed key in sorts and projections", async () => {
+        const result = await Ticket.find().sort("-id").select("id").lean();
+
+        expect(result.map((ticket) => ticket.id)).toEqual(tickets.map((ticket) => ticket._id.toString()).reverse());
+        result.forEach((ticket) => expect(Object.keys(ticket)).toEqual(["id"]));
+    });
+
+    test("should translate streamed queries and distinct", async () => {
+        const streamed = [];
+        for await (const ticket of Ticket.find({ watchers: { $all: [assignee.toString()] } }).lean().cursor()) {
+            streamed.push(ticket);
+        }
+        const ids = await Ticket.distinct("id", { priority: { $lt: 3 } }).lean();
+
+        expect(streamed.map((ticket) => ticket.title)).toEqual(["Crash on boot"]);
+        expect(ids.sort()).toEqual([tickets[0]._id.toString(), tickets[2]._id.toString()].sort());
+    });
+
+    test("should leave queries that did not opt in alone", async () => {
+        const id = tickets[0]._id.toString();
+        const [translated, untranslated] = await Promise.all([
+            Ticket.findOne({ id }).lean({ translateQuery: false }),
+            Ticket.findOne({ id }),
+        ]);
+
+        expect(translated).toBeNull();
+        expect(untranslated).toBeNull();
+    });
+});
+
+describe("mongooseLeanExtension with leanHidden and leanAccess", () => {
+    const SessionSchema = new mongoose.Schema({
+        device: String,
+        ip: { type: String, leanAccess: "admin" },
+    });
+    const AccountSchema = new mongoose.Schema({
+        email: String,
+        passwordHash: { type: String, leanHidden: true },
+        resetToken: { type: String, leanHidden: true },
+        notes: { type: String, leanAccess: ["admin", "support"] },
+        profile: {
+            name: String,
+            flagged: { type: Boolean, leanHidden: true },
+        },
+        sessions: [SessionSchema],
+    });
+    AccountSchema.plugin(mongooseLeanExtension);
+    const Account = mongoose.model("Account", AccountSchema);
+
+    const CommentSchema = new mongoose.Schema({
+        body: String,
+        account: { type: mongoose.Schema.Types.ObjectId, ref: "Account" },
+    });
+    CommentSchema.plugin(mongooseLeanExtension);
+    const Comment = mongoose.model("Comment", CommentSchema);
+
+    beforeEach(async () => {
+        await Promise.all([Account.deleteMany({}), Comment.deleteMany({})]);
+        const account = await Account.create({
+            email: "doug@example.com",
+            passwordHash: "$2b$10$hash",
+            resetToken: "token",
+            notes: "VIP",
+            profile: { name: "Doug", flagged: true },
+            sessions: [
+                { device: "laptop", ip: "10.0.0.1" },
+                { device: "phone", ip: "10.0.0.2" },
+            ],
+        });
+        await Comment.create({ body: "First!", account: account._id });
+    });
+
+    test("should remove hidden and restricted paths, nested and in subdocument arrays", async () => {
+        const account = await Account.findOne().lean();
+
+        expect(account).not.toHaveProperty("passwordHash");
+        expect(account).not.toHaveProperty("resetToken");
+        expect(account).not.toHaveProperty("notes");
+        expect(account.profile).toEqual({ name: "Doug" });
+        account.sessions.forEach((session) => {
+            expect(session).toHaveProperty("device");
+            expect(session).not.toHaveProperty("ip");
+        });
+    });
+
+    test("should show restricted paths to the roles they are granted to", async () => {
+        const [admin, support] = await Promise.all([
+            Account.findOne().lean({ role: "admin" }),
+            Account.findOne().lean({ role: ["guest", "support"] }),
+        ]);
+
+        expect(admin.notes).toBe("VIP");
+        expect(admin.sessions[0].ip).toBe("10.0.0.1");
+        expect(admin).not.toHaveProperty("passwordHash");
+        expect(support.notes).toBe("VIP");
+        expect(support.sessions[0]).not.toHaveProperty("ip");
+    });
+
+    test("should show the paths listed in reveal", async () => {
+        const account = await Account.findOne().lean({ reveal: ["passwordHash", "profile.flagged", "sessions.ip"] });
+
+        expect(account.passwordHash).toBe("$2b$10$hash");
+        expect(account.profile.flagged).toBe(true);
+        expect(account.sessions[1].ip).toBe("10.0.0.2");
+        expect(account).not.toHaveProperty("resetToken");
+    });
+
+    test("should remove hidden paths of populated documents, with or without the populated option", async () => {
+        const [plain, transformed] = await Promise.all([
+            Comment.findOne().populate("account").lean(),
+            Comment.findOne().populate("account").lean({ populated: true, role: "admin" }),
+        ]);
+
+        expect(plain.account.email).toBe("doug@example.com");
+        expect(plain.account).not.toHaveProperty("passwordHash");
+        expect(plain.account).not.toHaveProperty("notes");
+        expect(transformed.account).not.toHaveProperty("passwordHash");
+        expect(transformed.account.notes).toBe("VIP");
+    });
+
+    test("should cover distinct values and aggregations", async () => {
+        const [hashes, [account]] = await Promise.all([
+            Account.distinct("passwordHash").lean(),
+            Account.aggregate([{ $match: {} }]).option({ leanExtension: true }),
+        ]);
+
+        expect(hashes).toEqual([]);
+        expect(account).not.toHaveProperty("passwordHash");
+        expect(account.sessions[0]).not.toHaveProperty("ip");
+    });
+
+    test("should leave hydrated documents alone", async () => {
+        const account = await Account.findOne();
+        expect(account.passwordHash).toBe("$2b$10$hash");
+    });
+});
+
+describe("mongooseLeanExtension with virtuals, getters and defaults", () => {
+    const AddressSchema = new mongoose.Schema({
+        city: String,
+        country: { type: String, default: "UG" },
+    });
+    AddressSchema.virtual("label").get(function () {
+        return `${this.city}, ${this.country}`;
+    });
+    const MemberSchema = new mongoose.Schema({
+        name: { first: String, last: String },
+        balance: { type: Number, get: (cents) => (cents == null ? cents : `$${(cents / 100).toFixed(2)}`) },
+        tags: [{ type: String, get: (tag) => tag.toUpperCase() }],
+        status: { type: String, default: "active" },
+        joinedAt: { type: Date, default: Date.now },
+        home: AddressSchema,
+        addresses: [AddressSchema],
+    });
+    MemberSchema.virtual("fullName").get(function () {
+        return `${this.name.first} ${this.name.last}`;
+    });
+    MemberSchema.plugin(mongooseLeanExtension);
+    const Member = mongoose.model("Member", MemberSchema);
+
+    let member;
+
+    beforeEach(async () => {
+        await Member.deleteMany({});
+        // Stored the way an older version of the schema would have, without status, joinedAt or country
+        member = { _id: new mongoose.Types.ObjectId(), name: { first: "Doug", last: "Wilson" }, balance: 1250, tags: ["oss"] };
+        await Member.collection.insertOne({ ...member, home: { city: "Kampala" }, addresses: [{ city: "Gulu" }] });
+    });
+
+    test("should leave virtuals, getters and defaults out unless asked for", async () => {
+        const result = await Member.findOne().lean();
+        expect(result).not.toHaveProperty("fullName");
+        expect(result).not.toHaveProperty("status");
+        expect(result.balance).toBe(1250);
+    });
+
+    test("should compute virtuals before _id is renamed and stringified", async () => {
+        const result = await Member.findOne().lean({ virtuals: true, rename: "memberId" });
+
+        expect(result.fullName).toBe("Doug Wilson");
+        // The id virtual read the ObjectId _id, which was then stringified and renamed
+        expect(result.id).toBe(member._id.toString());
+        expect(result.memberId).toBe(member._id.toString());
+        expect(result.home.label).toBe("Kampala, undefined");
+        expect(result.addresses[0].label).toBe("Gulu, undefined");
+    });
+
+    test("should compute the listed virtuals only, subdocument ones by dot-path", async () => {
+        const result = await Member.findOne().lean({ virtuals: ["fullName", "addresses.label"] });
+
+        expect(result.fullName).toBe("Doug Wilson");
+        expect(result).not.toHaveProperty("id");
+        expect(result.home).not.toHaveProperty("label");
+        expect(result.addresses[0].label).toBe("Gulu, undefined");
+    });
+
+    test("should apply getters, array item getters included", async () => {
+        const result = await Member.findOne().lean({ getters: true });
+
+        expect(result.balance).toBe("$12.50");
+        expect(result.tags).toEqual(["OSS"]);
+    });
+
+    test("should fill in defaults, in subdocuments too, before virtuals read them", async () => {
+        const result = await Member.findOne().lean({ defaults: true, virtuals: ["addresses.label"] });
+
+        expect(result.status).toBe("active");
+        expect(result.joinedAt).toBeInstanceOf(Date);
+        expect(result.home.country).toBe("UG");
+        expect(result.addresses[0]).toMatchObject({ country: "UG", label: "Gulu, UG" });
+    });
+
+    test("should only fill in defaults of selected paths", async () => {
+        const [included, excluded] = await Promise.all([
+            Member.findOne().select("name status").lean({ defaults: true }),
+            Member.findOne().select("-status").lean({ defaults: true }),
+        ]);
+
+        expect(included.status).toBe("active");
+        expect(included).not.toHaveProperty("joinedAt");
+        expect(excluded).not.toHaveProperty("status");
+        expect(excluded.joinedAt).toBeInstanceOf(Date);
+    });
+});
+
+describe("mongooseLeanExtension with format: jsonapi", () => {
+    const MaintainerSchema = new mongoose.Schema({ name: String, createdAt: Date });
+    MaintainerSchema.plugin(mongooseLeanExtension);
+    const Maintainer = mongoose.model("Maintainer", MaintainerSchema);
+
+    const ModuleSchema = new mongoose.Schema({
+        name: String,
+        owner: { type: mongoose.Schema.Types.ObjectId, ref: "Maintainer" },
+        maintainers: [{ type: mongoose.Schema.Types.ObjectId, ref: "Maintainer" }],
+    });
+    ModuleSchema.plugin(mongooseLeanExtension);
+    const Module = mongoose.model("Module", ModuleSchema);
+
+    let doug, wes, express;
+
+    beforeEach(async () => {
+        await Promise.all([Maintainer.deleteMany({}), Module.deleteMany({})]);
+        [doug, wes] = await Maintainer.create([{ name: "Doug" }, { name: "Wes" }]);
+        express = await Module.create({ name: "express", owner: doug._id, maintainers: [doug._id, wes._id] });
+    });
+
+    test("should resolve to a JSON:API document with relationships as resource identifiers", async () => {
+        const result = await Module.find().lean({ format: "jsonapi", type: "packages" });
+
+        expect(result).toEqual({
+            data: [
+                {
+                    id: express._id.toString(),
+                    type: "packages",
+                    attributes: { name: "express" },
+                    relationships: {
+                        owner: { data: { type: "maintainers", id: doug._id.toString() } },
+                        maintainers: {
+                            data: [
+                                { type: "maintainers", id: doug._id.toString() },
+                                { type: "maintainers", id: wes._id.toString() },
+                            ],
+                        },
+                    },
+                },
+            ],
+        });
+    });
+
+    test("should use the collection name as type and a single resource for findOne", async () => {
+        const result = await Module.findOne({ name: "express" }).lean({ format: "jsonapi", rename: "id" });
+        expect(result.data).toMatchObject({ id: express._id.toString(), type: "modules", attributes: { name: "express" } });
+
+        // A missing document is a null primary resource, as JSON:API has it
+        const missing = await Module.findOne({ name: "koa" }).lean({ format: "jsonapi" });
+        expect(missing).toEqual({ data: null });
+        expect(await Module.findOneAndDelete({ name: "koa" }).lean({ format: "jsonapi" })).toEqual({ data: null });
+        expect(await Module.findOne({ name: "koa" }).lean({ rename: "id" })).toBeNull();
+    });
+
+    test("should move populated documents to included, once each, with showVersion deciding __v", async () => {
+        const result = await Module.find().populate("owner maintainers").lean({ format: "jsonapi" });
+
+        expect(result.data[0].relationships.owner).toEqual({ data: { type: "maintainers", id: doug._id.toString() } });
+        expect(result.included).toEqual([
+            { id: doug._id.toString(), type: "maintainers", attributes: { name: "Doug" } },
+            { id: wes._id.toString(), type: "maintainers", attributes: { name: "Wes" } },
+        ]);
+
+        const versioned = await Module.findOne().populate("owner").lean({ format: "jsonapi", showVersion: true });
+        expect(versioned.data.attributes).toEqual({ name: "express", __v: 0 });
+        expect(versioned.included[0].attributes).toEqual({ name: "Doug", __v: 0 });
+    });
+
+    test("should follow renameKeys and keyCase in relationships", async () => {
+        const result = await Module.findOne().lean({ format: "jsonapi", renameKeys: { owner: "author" }, keyCase: "snake" });
+        expect(Object.keys(result.data.relationships)).toEqual(["author", "maintainers"]);
+    });
+
+    test("should yield resources from cursors and reject unknown formats", async () => {
+        const resources = [];
+        for await (const resource of Module.find().lean({ format: "jsonapi" }).cursor()) resources.push(resource);
+        expect(resources).toEqual([expect.objectContaining({ id: express._id.toString(), type: "modules" })]);
+
+        await expect(Module.find().lean({ format: "hal" })).rejects.toThrow(/unsupported format "hal"/);
+    });
+
+    test("should reject the format option on aggregations, which resolve to arrays", async () => {
+        const aggregate = () => Module.aggregate([{ $match: {} }]).option({ leanExtension: { format: "jsonapi" } });
+        await expect(aggregate()).rejects.toThrow(/aggregation results are an array/);
+        await expect(aggregate().cursor().eachAsync(() => {})).rejects.toThrow(/aggregation results are an array/);
+    });
+});
+
+describe("mongooseLeanExtension with lean views", () => {
+    const SquadSchema = new mongoose.Schema({ name: String, budget: Number });
+    SquadSchema.plugin(mongooseLeanExtension);
+    const Squad = mongoose.model("Squad", SquadSchema);
+
+    const MemberAccountSchema = new mongoose.Schema(
+        {
+            email: String,
+            passwordHash: String,
+            displayName: String,
+            team: { type: mongoose.Schema.Types.ObjectId, ref: "Squad" },
+        },
+        { timestamps: true }
+    );
+    MemberAccountSchema.plugin(mongooseLeanExtension);
+    MemberAccountSchema.leanView("public", { select: "displayName team", rename: "id", stringifyKeys: ["team"] })
+        .leanView("admin", { extends: "public", select: "-passwordHash", hide: ["updatedAt"] })
+        .leanView("export", { extends: "admin", renameKeys: { displayName: "display_name" } })
+        .leanView("loop", { extends: "cycle" })
+        .leanView("cycle", { extends: "loop" });
+    const Account = mongoose.model("MemberAccount", MemberAccountSchema);
+
+    let account, team;
+
+    beforeEach(async () => {
+        await Promise.all([Squad.deleteMany({}), Account.deleteMany({})]);
+        team = await Squad.create({ name: "core", budget: 100 });
+        account = await Account.create({ email: "doug@example.com", passwordHash: "x", displayName: "Doug", team: team._id });
+    });
+
+    test("should apply the projection and the options of a view", async () => {
+        const result = await Account.findOne().lean({ view: "public" });
+        expect(result).toEqual({ id: account._id.toString(), displayName: "Doug", team: team._id.toString() });
+    });
+
+    test("should extend views, the extending view's keys winning", async () => {
+        const admin = await Account.findOne().lean({ view: "admin" });
+        expect(admin).toEqual({
+            id: account._id.toString(),
+            email: "doug@example.com",
+            displayName: "Doug",
+            team: team._id.toString(),
+            createdAt: expect.any(Date),
+        });
+
+        const [exported] = await Account.find().lean({ view: "export" });
+        expect(exported).toHaveProperty("display_name", "Doug");
+        expect(exported).not.toHaveProperty("passwordHash");
+    });
+
+    test("should let the query's own options win over the view's", async () => {
+        const result = await Account.findOne().lean({ view: "public", rename: "accountId", stringifyKeys: [] });
+        expect(result).toEqual({ accountId: account._id.toString(), displayName: "Doug", team: expect.any(mongoose.Types.ObjectId) });
+    });
+
+    test("should pass the view's options down to populate queries", async () => {
+        const result = await Account.findOne().populate("team").lean({ view: "public", populated: true });
+        expect(result.team).toEqual({ id: team._id.toString(), name: "core", budget: 100 });
+    });
+
+    test("should reject unknown views and views extending each other", async () => {
+        await expect(Account.find().lean({ view: "private" })).rejects.toThrow('mongoose-lean-extension: unknown lean view "private"');
+        await expect(Account.find().lean({ view: "loop" })).rejects.toThrow(/cycle \(loop -> cycle -> loop\)/);
+        expect(() => MemberAccountSchema.leanView("", {})).toThrow(TypeError);
+        expect(() => MemberAccountSchema.leanView("internal", { extends: 1 })).toThrow(TypeError);
+    });
+});
+
+describe("mongooseLeanExtension with flatten and exportLean", () => {
+    const LibrarySchema = new mongoose.Schema({
+        name: String,
+        owner: { name: String, org: mongoose.Schema.Types.ObjectId },
+        tags: [String],
+        versions: [{ tag: String, downloads: Number }],
+    });
+    LibrarySchema.plugin(mongooseLeanExtension, { rename: "id" });
+    const Library = mongoose.model("Library", LibrarySchema);
+
+    // Helper that reads a stream to the end
+    const readAll = async (stream) => {
+        let text = "";
+        for await (const chunk of stream) text += chunk;
+        return text;
+    };
+
+    let org, express;
+
+    beforeEach(async () => {
+        await Library.deleteMany({});
+        org = new mongoose.Types.ObjectId();
+        [express] = await Library.create([
+            {
+                name: "express",
+                owner: { name: "Doug", org },
+                tags: ["web", "http"],
+                versions: [
+                    { tag: "4.0.0", downloads: 10 },
+                    { tag: "5.0.0", downloads: 20 },
+                ],
+            },
+            { name: 'say "hi", world', tags: [] },
+        ]);
+    });
+
+    test("should flatten documents to dot-notation columns, joining arrays", async () => {
+        const result = await Library.findOne({ name: "express" }).select("-versions._id").lean({ flatten: true });
+        expect(result).toEqual({
+            id: express._id.toString(),
+            name: "express",
+            "owner.name": "Doug",
+            "owner.org": org.toString(),
+            tags: "web, http",
+            "versions.tag": "4.0.0, 5.0.0",
+            "versions.downloads": "10, 20",
+        });
+    });
+
+    test("should expand arrays by index", async () => {
+        const result = await Library.findOne({ name: "express" }).lean({ flatten: { arrays: "index" } });
+        expect(result).toMatchObject({ "tags.0": "web", "tags.1": "http", "versions.1.tag": "5.0.0", "versions.1.downloads": 20 });
+        expect(result["versions.0._id"]).toEqual(expect.any(String));
+
+        await expect(Library.findOne().lean({ flatten: { arrays: "spread" } })).rejects.toThrow(TypeError);
+    });
+
+    test("should export CSV rows with the plugin's defaults, quoting cells", async () => {
+        const csv = await readAll(Library.exportLean({}, { columns: ["id", "name", "owner.name", "tags"], sort: { name: 1 } }));
+        expect(csv).toBe(
+            "id,name,owner.name,tags\r\n" +
+                `${express._id},express,Doug,"web, http"\r\n` +
+                `${(await Library.findOne({ tags: [] }))._id},"say ""hi"", world",,\r\n`
+        );
+    });
+
+    test("should export NDJSON rows, the header of CSV rows defaulting to the first row's keys", async () => {
+        const ndjson = await readAll(Library.exportLean({ name: "express" }, { format: "ndjson", lean: { flatten: false, showVersion: true } }));
+        const [row] = ndjson.trim().split("\n").map((line) => JSON.parse(line));
+        expect(row).toMatchObject({ id: express._id.toString(), owner: { name: "Doug", org: org.toString() }, __v: 0 });
+
+        const csv = await readAll(Library.exportLean({ name: "express" }, { lean: { flatten: { arrays: "index" } } }));
+        expect(csv.split("\r\n")[0]).toBe(
+            "name,owner.name,owner.org,tags.0,tags.1,versions.0.tag,versions.0.downloads,versions.0._id,versions.1.tag,versions.1.downloads,versions.1._id,id"
+        );
+
+        expect(() => Library.exportLean({}, { format: "xlsx" })).toThrow(TypeError);
+    });
+});
+
+describe("Model.findLeanPage", () => {
+    const BuildSchema = new mongoose.Schema({ name: String, downloads: { type: Number, index: true } });
+    BuildSchema.plugin(mongooseLeanExtension);
+    BuildSchema.leanView("names", { select: "name" }).leanView("bare", { select: "-_id -downloads" });
+    const Build = mongoose.model("Build", BuildSchema);
+
+    // Helper that follows the cursors until the last page, collecting the names of the items
+    const allPages = async (options) => {
+        const names = [];
+        let page = { nextCursor: undefined };
+        do {
+            page = await Build.findLeanPage({}, { ...options, after: page.nextCursor });
+            names.push(page.items.map((item) => item.name));
+        } while (page.hasMore);
+        return names;
+    };
+
+    beforeEach(async () => {
+        await Build.deleteMany({});
+        await Build.insertMany([
+            { name: "a", downloads: 30 },
+            { name: "b", downloads: 10 },
+            { name: "c", downloads: 20 },
+            { name: "d", downloads: 20 },
+            { name: "e", downloads: 40 },
+        ]);
+    });
+
+    test("should page by _id, items transformed as usual", async () => {
+        const page = await Build.findLeanPage({}, { limit: 2, leanOptions: { rename: "id" } });
+        expect(page.items).toEqual([
+            { id: expect.any(String), name: "a", downloads: 30 },
+            { id: expect.any(String), name: "b", downloads: 10 },
+        ]);
+        expect(page).toMatchObject({ hasMore: true, nextCursor: expect.any(String) });
+
+        expect(await allPages({ limit: 2 })).toEqual([["a", "b"], ["c", "d"], ["e"]]);
+    });
+
+    test("should page through null and missing sort values, sorted first as MongoDB does", async () => {
+        await Build.insertMany([{ name: "f" }, { name: "g", downloads: null }]);
+
+        expect(await allPages({ limit: 1, sort: { downloads: 1 } })).toEqual([["f"], ["g"], ["b"], ["c"], ["d"], ["a"], ["e"]]);
+        expect(await allPages({ limit: 2, sort: { downloads: -1 } })).toEqual([["e", "a"], ["d", "c"], ["b", "g"], ["f"]]);
+    });
+
+    test("should page by other fields in both directions, ties broken by _id", async () => {
+        expect(await allPages({ limit: 2, sort: { downloads: 1 } })).toEqual([["b", "c"], ["d", "a"], ["e"]]);
+        expect(await allPages({ limit: 2, sort: "-downloads" })).toEqual([["e", "a"], ["d", "c"], ["b"]]);
+    });
+
+    test("should sort by the rename key and end on a page without a cursor", async () => {
+        const first = await Build.findLeanPage({ downloads: { $gte: 20 } }, { limit: 3, sort: { id: "desc" }, leanOptions: { rename: "id" } });
+        expect(first.items.map((item) => item.name)).toEqual(["e", "d", "c"]);
+
+        const last = await Build.findLeanPage({ downloads: { $gte: 20 } }, { limit: 3, sort: { id: "desc" }, after: first.nextCursor, leanOptions: { rename: "id" } });
+        expect(last).toEqual({ items: [expect.objectContaining({ name: "a" })], nextCursor: null, hasMore: false });
+    });
+
+    test("should page by the sort keys a view or projection leaves out, without returning them", async () => {
+        const first = await Build.findLeanPage({}, { limit: 2, sort: { downloads: -1 }, leanOptions: { view: "names" } });
+        expect(first.items).toEqual([
+            { _id: expect.any(String), name: "e" },
+            { _id: expect.any(String), name: "a" },
+        ]);
+
+        expect(await allPages({ limit: 2, sort: { downloads: -1 }, leanOptions: { view: "names" } })).toEqual([["e", "a"], ["d", "c"], ["b"]]);
+        expect(await allPages({ limit: 2, sort: { downloads: 1 }, leanOptions: { view: "bare" } })).toEqual([["b", "c"], ["d", "a"], ["e"]]);
+        const { items } = await Build.findLeanPage({}, { limit: 5, sort: { downloads: 1 }, leanOptions: { view: "bare" } });
+        items.forEach((item) => expect(Object.keys(item)).toEqual(["name"]));
+    });
+
+    test("should reject cursors of another sort and invalid limits", async () => {
+        const { nextCursor } = await Build.findLeanPage({}, { limit: 1 });
+        await expect(Build.findLeanPage({}, { after: nextCursor, sort: { downloads: 1 } })).rejects.toThrow(/cursor of another sort/);
+        await expect(Build.findLeanPage({}, { after: "garbage" })).rejects.toThrow(TypeError);
+        await expect(Build.findLeanPage({}, { limit: 0 })).rejects.toThrow(/positive integer/);
+    });
+});
+
+describe("mongooseLeanExtension with the cache option", () => {
+    const WidgetSchema = new mongoose.Schema({ name: String, sizes: [Number] });
+    WidgetSchema.plugin(mongooseLeanExtension);
+    const Widget = mongoose.model("Widget", WidgetSchema);
+
+    const cache = { ttl: 60000 };
+
+    beforeEach(async () => {
+        mongooseLeanExtension.clearLeanCache();
+        await Widget.deleteMany({});
+        await Widget.create({ name: "bolt", sizes: [1, 2] });
+    });
+
+    test("should answer repeated queries from the cache, with copies of the results", async () => {
+        const [first] = await Widget.find({ name: "bolt" }).lean({ cache, rename: "id" });
+        first.sizes.push(3);
+
+        // Bypasses mongoose, so the entry stays
+        await Widget.collection.insertOne({ name: "bolt", sizes: [] });
+
+        const cached = await Widget.find({ name: "bolt" }).lean({ cache, rename: "id" });
+        expect(cached).toEqual([{ id: first.id, name: "bolt", sizes: [1, 2] }]);
+        expect(cached[0]).not.toBe(first);
+
+        // Another filter, projection or option is another entry
+        expect(await Widget.find({ name: "bolt" }).lean({ cache })).toHaveLength(2);
+        expect(await Widget.find({ name: "bolt" }).select("name").lean({ cache, rename: "id" })).toHaveLength(2);
+    });
+
+    test("should invalidate the entries of the model on writes", async () => {
+        const read = () => Widget.find().sort("name").lean({ cache });
+        await read();
+
+        await Widget.create({ name: "nut" });
+        expect((await read()).map(({ name }) => name)).toEqual(["bolt", "nut"]);
+
+        await Widget.updateOne({ name: "nut" }, { name: "screw" });
+        expect((await read()).map(({ name }) => name)).toEqual(["bolt", "screw"]);
+
+        const screw = await Widget.findOne({ name: "screw" });
+        screw.name = "washer";
+        await screw.save();
+        expect((await read()).map(({ name }) => name)).toEqual(["bolt", "washer"]);
+
+        await Widget.insertMany([{ name: "pin" }]);
+        await Widget.deleteMany({ name: "bolt" });
+        expect((await read()).map(({ name }) => name)).toEqual(["pin", "washer"]);
+    });
+
+    test("should expire entries after their ttl and leave cursors alone", async () => {
+        await Widget.findOne().lean({ cache: { ttl: 20 } });
+        await Widget.collection.updateOne({}, { $set: { name: "nut" } });
+        expect(await Widget.findOne().lean({ cache: { ttl: 20 } })).toMatchObject({ name: "bolt" });
+
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        expect(await Widget.findOne().lean({ cache: { ttl: 20 } })).toMatchObject({ name: "nut" });
+
+        const names = [];
+        for await (const widget of Widget.find().lean({ cache }).cursor()) names.push(widget.name);
+        expect(names).toEqual(["nut"]);
+    });
+
+    test("should cache formatted results as they were resolved", async () => {
+        const first = await Widget.find().lean({ cache, format: "jsonapi" });
+        const cached = await Widget.find().lean({ cache, format: "jsonapi" });
+        expect(cached).toEqual(first);
+        expect(cached.data[0]).toMatchObject({ type: "widgets", attributes: { name: "bolt" } });
+    });
+});
+
+describe("Model.fromLean and Model.hydrateFromLean", () => {
+    const GadgetSchema = new mongoose.Schema(
+        {
+            name: String,
+            owner: mongoose.Schema.Types.ObjectId,
+            parts: [{ supplier: mongoose.Schema.Types.ObjectId, label: String }],
+        },
+        { optimisticConcurrency: true }
+    );
+    GadgetSchema.plugin(mongooseLeanExtension, { rename: "id" });
+    const Gadget = mongoose.model("Gadget", GadgetSchema);
+
+    const leanOptions = { stringifyKeys: "auto", showVersion: true };
+    let gadget;
+
+    beforeEach(async () => {
+        await Gadget.deleteMany({});
+        gadget = await Gadget.create({
+            name: "drone",
+            owner: new mongoose.Types.ObjectId(),
+            parts: [{ supplier: new mongoose.Types.ObjectId(), label: "rotor" }],
+        });
+    });
+
+    test("should turn a served object back into the stored shape", async () => {
+        const served = JSON.parse(JSON.stringify(await Gadget.findOne().lean(leanOptions)));
+        expect(served).toHaveProperty("id");
+
+        const raw = Gadget.fromLean(served, leanOptions);
+        expect(raw).toEqual(await Gadget.findOne().lean({ stringifyId: false, rename: undefined, showVersion: true }));
+        expect(raw._id).toBeInstanceOf(mongoose.Types.ObjectId);
+        expect(raw.parts[0].supplier).toBeInstanceOf(mongoose.Types.ObjectId);
+        // The served object is left as it is
+        expect(typeof served.owner).toBe("string");
+    });
+
+    test("should save a hydrated document, failing on a stale version", async () => {
+        const served = JSON.parse(JSON.stringify(await Gadget.findOne().lean(leanOptions)));
+
+        const doc = Gadget.hydrateFromLean({ ...served, name: "quadcopter" }, leanOptions);
+        await doc.save();
+        expect(await Gadget.findById(gadget._id).lean({ showVersion: true })).toMatchObject({ name: "quadcopter", __v: 1 });
+
+        const stale = Gadget.hydrateFromLean({ ...served, name: "helicopter" }, leanOptions);
+        await expect(stale.save()).rejects.toThrow(mongoose.Error.VersionError);
+    });
+
+    test("should reject paths that are not ObjectId paths and strings that are not ObjectIds", () => {
+        expect(() => Gadget.fromLean({ name: "drone" }, { stringifyKeys: ["owner", "parts.label"] })).toThrow(
+            'mongoose-lean-extension: stringifyKeys path "parts.label" is not an ObjectId path of the schema (Gadget)'
+        );
+        expect(() => Gadget.fromLean({ owner: "nope" }, { stringifyKeys: ["owner"] })).toThrow(/"nope" at "owner" is not an ObjectId/);
+        expect(() => Gadget.fromLean(null)).toThrow(TypeError);
+    });
+});
+
+describe("mongooseLeanExtension with discriminators", () => {
+    const EventSchema = new mongoose.Schema({ at: Date, session: mongoose.Schema.Types.ObjectId });
+    EventSchema.plugin(mongooseLeanExtension, { byType: { View: { renameKeys: { page: "path" } } } });
+    const Event = mongoose.model("Event", EventSchema);
+    const Click = Event.discriminator("Click", new mongoose.Schema({ target: mongoose.Schema.Types.ObjectId, button: String }));
+    const View = Event.discriminator("View", new mongoose.Schema({ page: String, referrer: mongoose.Schema.Types.ObjectId }));
+
+    let session, target, referrer;
+
+    beforeEach(async () => {
+        await Event.deleteMany({});
+        [session, target, referrer] = [0, 1, 2].map(() => new mongoose.Types.ObjectId());
+        await Event.create({ session });
+        await Click.create({ session, target, button: "buy" });
+        await View.create({ session, page: "/pricing", referrer });
+    });
+
+    test("should stringify the ObjectId paths of each document's own type with stringifyKeys: auto", async () => {
+        const events = await Event.find().sort({ _id: 1 }).lean({ stringifyKeys: "auto" });
+
+        expect(events.map(({ session: id }) => id)).toEqual([session.toString(), session.toString(), session.toString()]);
+        expect(events[1]).toMatchObject({ __t: "Click", target: target.toString(), button: "buy" });
+        expect(events[2]).toMatchObject({ __t: "View", path: "/pricing", referrer: referrer.toString() });
+    });
+
+    test("should merge the byType options of a query over the defaults, for the documents of that type", async () => {
+        const events = await Event.find()
+            .sort({ _id: 1 })
+            .lean({ byType: { Click: { stringifyKeys: ["target"], rename: "clickId" }, View: { keyCase: "snake" } } });
+
+        expect(events[0].session).toBeInstanceOf(mongoose.Types.ObjectId);
+        expect(events[1]).toMatchObject({ clickId: expect.any(String), target: target.toString() });
+        expect(events[1]._id).toBeUndefined();
+        // The defaults of View still apply, merged with the query's
+        expect(events[2]).toMatchObject({ path: "/pricing", referrer: expect.any(mongoose.Types.ObjectId) });
+        expect(events[2].page).toBeUndefined();
+    });
+
+    test("should apply the byType options when querying a discriminator itself", async () => {
+        const [click] = await Click.find().lean({ byType: { Click: { stringifyKeys: ["target"] } } });
+        expect(click.target).toBe(target.toString());
+
+        const [view] = await View.find().lean();
+        expect(view.path).toBe("/pricing");
+    });
+
+    test("should give each type its own JSON:API type, included resources being shared", async () => {
+        const { data } = await Event.find().sort({ _id: 1 }).lean({ format: "jsonapi" });
+        expect(data.map(({ type }) => type)).toEqual(["events", "events", "events"]);
+
+        const typed = await Event.find()
+            .sort({ _id: 1 })
+            .lean({ format: "jsonapi", type: "events", byType: { Click: { type: "clicks" }, View: { type: "views" } } });
+        expect(typed.data.map(({ type }) => type)).toEqual(["events", "clicks", "views"]);
+    });
+
+    test("should report byType entries that are not discriminators of the model", async () => {
+        await expect(Event.find().lean({ strict: true, byType: { Clik: { rename: "id" } } })).rejects.toThrow(
+            'mongoose-lean-extension: byType "Clik" is not a discriminator of the model, did you mean "Click"? (Event)'
+        );
+        await expect(Event.find().lean({ strict: true, byType: { Click: { stringifyKeys: ["page"] } } })).rejects.toThrow(
+            'byType "Click": stringifyKeys path "page" is not a path of the schema'
+        );
+    });
+});
+
+describe("mongooseLeanExtension with toJSON and toObject", () => {
+    const RepositorySchema = new mongoose.Schema(
+        {
+            name: String,
+            owner: mongoose.Schema.Types.ObjectId,
+            token: { type: String, leanHidden: true },
+            branches: [{ name: String, head: mongoose.Schema.Types.ObjectId }],
+        },
+        { timestamps: true }
+    );
+    RepositorySchema.plugin(mongooseLeanExtension, {
+        toJSON: true,
+        toObject: { rename: "key", showVersion: true },
+        rename: "id",
+        stringifyKeys: ["owner", "branches.head"],
+    });
+    const Repository = mongoose.model("Repository", RepositorySchema);
+
+    beforeEach(async () => {
+        await Repository.deleteMany({});
+    });
+
+    test("should give created documents the shape of their lean reads", async () => {
+        const created = await Repository.create({
+            name: "express",
+            owner: new mongoose.Types.ObjectId(),
+            token: "secret",
+            branches: [{ name: "main", head: new mongoose.Types.ObjectId() }],
+        });
+
+        const json = created.toJSON();
+        expect(json).toEqual(await Repository.findById(created._id).lean());
+        expect(json).toMatchObject({ id: created._id.toString(), owner: created.owner.toString() });
+        expect(json).not.toHaveProperty("token");
+        expect(json).not.toHaveProperty("__v");
+        expect(JSON.parse(JSON.stringify(created))).toEqual(JSON.parse(JSON.stringify(await Repository.findById(created._id).lean())));
+    });
+
+    test("should apply the lean options of toObject over the defaults", async () => {
+        const created = await Repository.create({ name: "koa", owner: new mongoose.Types.ObjectId() });
+
+        const object = created.toObject();
+        expect(object).toMatchObject({ key: created._id.toString(), __v: 0 });
+        expect(object).toEqual(await Repository.findById(created._id).lean({ rename: "key", showVersion: true }));
+    });
+
+    test("should run a transform the schema already has afterwards, and leave other schemas alone", async () => {
+        const TaggedSchema = new mongoose.Schema({ name: String }, { toJSON: { transform: (doc, ret) => ({ ...ret, tagged: true }) } });
+        TaggedSchema.plugin(mongooseLeanExtension, { toJSON: true });
+        const Tagged = mongoose.model("Tagged", TaggedSchema);
+        const tagged = new Tagged({ name: "hapi" });
+        expect(tagged.toJSON()).toEqual({ _id: tagged._id.toString(), name: "hapi", tagged: true });
+
+        const [pkg] = await Package.create([{ name: "fastify" }]);
+        expect(pkg.toJSON()._id).toBeInstanceOf(mongoose.Types.ObjectId);
+
+        expect(() => new mongoose.Schema({}).plugin(mongooseLeanExtension, { toJSON: "yes" })).toThrow(
+            'mongoose-lean-extension: toJSON must be true or lean options, got "yes"'
+        );
+    });
+});
+
+describe("mongooseLeanExtension with omitNull, omitEmpty and omitDefaults", () => {
+    const DependencySchema = new mongoose.Schema({
+        name: String,
+        optional: { type: Boolean, default: false },
+        languages: [String],
+    });
+    const ProjectSchema = new mongoose.Schema({
+        name: String,
+        homepage: { type: String, default: null },
+        stars: { type: Number, default: 0 },
+        license: { type: String, default: "MIT" },
+        meta: { registry: { type: String, default: "npm" }, mirror: String },
+        tags: [String],
+        dependencies: [DependencySchema],
+        createdAt: { type: Date, default: Date.now },
+    });
+    ProjectSchema.plugin(mongooseLeanExtension);
+    const Project = mongoose.model("Project", ProjectSchema);
+
+    let project;
+
+    beforeEach(async () => {
+        await Project.deleteMany({});
+        project = await Project.create({
+            name: "express",
+            stars: 5,
+            dependencies: [
+                { name: "debug", languages: ["JavaScript"] },
+                { name: null, optional: true },
+            ],
+        });
+    });
+
+    test("should leave documents as they are without the options", async () => {
+        const found = await Project.findOne().lean();
+        expect(found).toMatchObject({ homepage: null, stars: 5, license: "MIT", meta: { registry: "npm" }, tags: [] });
+    });
+
+    test("should remove null fields and empty arrays, in subdocuments too, but not array items", async () => {
+        const found = await Project.findOne().lean({ omitNull: true, omitEmpty: true });
+
+        expect(found).not.toHaveProperty("homepage");
+        expect(found).not.toHaveProperty("tags");
+        expect(found.dependencies).toHaveLength(2);
+        expect(found.dependencies[0]).toEqual({ _id: expect.any(mongoose.Types.ObjectId), name: "debug", optional: false, languages: ["JavaScript"] });
+        expect(found.dependencies[1]).toEqual({ _id: expect.any(mongoose.Types.ObjectId), optional: true });
+    });
+
+    test("should remove the fields at their schema default, nested paths and subdocuments included", async () => {
+        const found = await Project.findOne().lean({ omitDefaults: true, omitEmpty: true });
+
+        expect(found).toEqual({
+            _id: project._id.toString(),
+            name: "express",
+            stars: 5,
+            dependencies: [
+                { _id: expect.any(mongoose.Types.ObjectId), name: "debug", languages: ["JavaScript"] },
+                { _id: expect.any(mongoose.Types.ObjectId), name: null, optional: true },
+            ],
+            // Function defaults such as Date.now cannot be told from the values they gave
+            createdAt: project.createdAt,
+        });
+    });
+
+    test("should leave the keep paths, and everything below them, as they are", async () => {
+        const found = await Project.findOne().lean({
+            omitNull: true,
+            omitEmpty: true,
+            omitDefaults: true,
+            keep: ["tags", "meta", "dependencies.optional"],
+        });
+
+        expect(found).toMatchObject({ tags: [], meta: { registry: "npm" } });
+        expect(found).not.toHaveProperty("license");
+        expect(found.dependencies.map((dependency) => dependency.optional)).toEqual([false, true]);
+        expect(found.dependencies[1]).not.toHaveProperty("languages");
+    });
+
+    test("should prune before keys are renamed, and report keep lists that are not paths", async () => {
+        const found = await Project.findOne().lean({ omitDefaults: true, renameKeys: { stars: "stargazers" }, keyCase: "snake" });
+        expect(found).toMatchObject({ stargazers: 5, created_at: project.createdAt });
+        expect(found).not.toHaveProperty("license");
+
+        await expect(Project.findOne().lean({ strict: true, omitNull: true, keep: "tags" })).rejects.toThrow(
+            'mongoose-lean-extension: keep must be an array of paths, got "tags" (Project)'
+        );
+    });
+});
+
+describe("mongooseLeanExtension option validation", () => {
+    let warn;
+
+    beforeEach(async () => {
+        await Package.deleteMany({});
+        await Package.create({ name: "express", contributors: [{ username: "tj" }] });
+        warn = jest.spyOn(process, "emitWarning").mockImplementation(() => {});
+    });
+
+    afterEach(() => warn.mockRestore());
+
+    test("should warn once about an unknown option, with the option it stands for", async () => {
+        await Package.find().lean({ stringfyKeys: ["contributors._id"] });
+        await Package.find().lean({ stringfyKeys: ["contributors._id"] });
+
+        expect(warn).toHaveBeenCalledTimes(1);
+        expect(warn.mock.calls[0][0]).toBe('unknown lean option "stringfyKeys", did you mean "stringifyKeys"? (Package)');
+        expect(warn.mock.calls[0][1]).toEqual({ code: "MONGOOSE_LEAN_EXTENSION_INVALID_OPTION" });
+    });
+
+    test("should warn about stringifyKeys paths and rename keys the schema does not allow", async () => {
+        const [express] = await Package.find().lean({ stringifyKeys: ["contributors.uid"], rename: "name" });
+
+        expect(warn.mock.calls.map(([message]) => message)).toEqual([
+            'rename "name" collides with the "name" field of the schema (Package)',
+            'stringifyKeys path "contributors.uid" is not a path of the schema (Package)',
+        ]);
+        // Warnings only, the options still apply
+        expect(express.name).toEqual(expect.any(String));
+    });
+
+    test("should not warn about valid options, wildcard paths and the id virtual", async () => {
+        await Package.find().lean({
+            stringifyKeys: ["contributors._id", "contributors.*._id", "**._id", "contributors.0._id"],
+            rename: "id",
+            strict: false,
+        });
+        await Package.distinct("_id").lean({ rename: "id" });
+
+        expect(warn).not.toHaveBeenCalled();
+    });
+
+    test("should reject the query in strict mode", async () => {
+        await expect(Package.find().lean({ strict: true, stringifyKeys: ["contributers._id"] })).rejects.toThrow(
+            'mongoose-lean-extension: stringifyKeys path "contributers._id" is not a path of the schema (Package)'
+        );
+        await expect(Package.findOne().lean({ strict: true, rename: 42 })).rejects.toThrow(TypeError);
+        await expect(Package.findOne().lean({ strict: true, showVersoin: true })).rejects.toThrow(/did you mean "showVersion"/);
+        expect(warn).not.toHaveBeenCalled();
+    });
+
+    test("should reject writes in strict mode before they reach MongoDB", async () => {
+        await expect(Package.findOneAndDelete({ name: "express" }).lean({ strict: true, stringfyKeys: [] })).rejects.toThrow(
+            /unknown lean option "stringfyKeys"/
+        );
+        await expect(
+            Package.findOneAndUpdate({ name: "express" }, { name: "koa" }).lean({ strict: true, rename: 42 })
+        ).rejects.toThrow(TypeError);
+        await expect(Package.insertMany([{ name: "koa" }], { lean: { strict: true, renme: "id" } })).rejects.toThrow(
+            /did you mean "rename"/
+        );
+
+        expect(await Package.find({}, "name").lean({ stringifyId: false })).toEqual([{ _id: expect.anything(), name: "express" }]);
+    });
+});
+
+describe("registerLeanTransform", () => {
+    let Note;
+
+    beforeAll(() => {
+        // Registered once for the whole file, the step only acts on queries with the redact option
+        mongooseLeanExtension.registerLeanTransform(
+            "redact",
+            (doc, { redact }) => {
+                for (const key of redact ?? []) if (key in doc) doc[key] = "[redacted]";
+            },
+            { before: "rename" }
+        );
+
+        const NoteSchema = new mongoose.Schema({ title: String, body: String });
+        NoteSchema.plugin(mongooseLeanExtension);
+        Note = mongoose.model("PipelineNote", NoteSchema);
+    });
+
+    beforeEach(async () => {
+        await Note.deleteMany({});
+        await Note.create({ title: "Groceries", body: "milk" });
+    });
+
+    test("should list the built-in steps in the order they run", () => {
+        expect(mongooseLeanExtension.leanTransforms()).toEqual([
+            "schemaValues",
+            "hidden",
+            "prune",
+            "stringifyKeys",
+            "convert",
+            "populated",
+            "showVersion",
+            "renameKeys",
+            "keyCase",
+            "stringifyId",
+            "redact",
+            "rename",
+            "flatten",
+            "format",
+        ]);
+    });
+
+    test("should run a registered step with the query's own options", async () => {
+        const result = await Note.findOne().lean({ redact: ["body"], rename: "id" });
+        expect(result).toEqual({ id: expect.any(String), title: "Groceries", body: "[redacted]" });
+
+        const plain = await Note.findOne().lean();
+        expect(plain.body).toBe("milk");
+    });
+
+    test("should run a registered step on cursors", async () => {
+        const results = [];
+        for await (const doc of Note.find().lean({ redact: ["title"] }).cursor()) results.push(doc);
+        expect(results[0].title).toBe("[redacted]");
+    });
+
+    test("should throw on a taken name, an unknown anchor or a missing function", () => {
+        const { registerLeanTransform } = mongooseLeanExtension;
+        expect(() => registerLeanTransform("redact", () => {})).toThrow(TypeError);
+        expect(() => registerLeanTransform("other", () => {}, { after: "missing" })).toThrow(TypeError);
+        expect(() => registerLeanTransform("other")).toThrow(TypeError);
+        expect(() => registerLeanTransform("", () => {})).toThrow(TypeError);
+        expect(mongooseLeanExtension.leanTransforms()).not.toContain("other");
+    });
+
+    test("should accept the options of registered transforms", async () => {
+        mongooseLeanExtension.registerLeanTransform("mask", (doc, { mask, maskWith = "*" }) => {
+            if (mask && doc[mask]) doc[mask] = maskWith.repeat(doc[mask].length);
+        }, { options: ["mask", "maskWith"] });
+
+        const result = await Note.findOne().lean({ strict: true, mask: "title", maskWith: "#" });
+        expect(result.title).toBe("#########");
+    });
+});
+
+describe("toCase utility", () => {
+    test.each([
+        ["createdAt", "snake", "created_at"],
+        ["HTMLParser", "snake", "html_parser"],
+        ["userID", "kebab", "user-id"],
+        ["created_at", "camel", "createdAt"],
+        ["x-powered-by", "camel", "xPoweredBy"],
+        ["_id", "camel", "_id"],
+        ["__v", "snake", "__v"],
+        ["0", "snake", "0"],
+    ])("should convert %s to %s case", (key, keyCase, expected) => {
+        expect(toCase(key, keyCase)).toBe(expected);
+    });
+});
+
+describe("objectIdPaths utility", () => {
+    test("should collect ObjectId, array and subdocument paths but not the top-level _id", () => {
+        const Child = new mongoose.Schema({ ref: { type: mongoose.Schema.Types.ObjectId, ref: "X" } });
+        const schema = new mongoose.Schema({
+            single: mongoose.Schema.Types.ObjectId,
+            many: [{ type: mongoose.Schema.Types.ObjectId, ref: "X" }],
+            matrix: [[mongoose.Schema.Types.ObjectId]],
+            children: [Child],
+            child: Child,
+            label: String,
+            byName: { type: Map, of: mongoose.Schema.Types.ObjectId },
+            childByName: { type: Map, of: Child },
+        });
+
+        expect(objectIdPaths(schema).sort()).toEqual(
+            [
+                "single",
+                "many",
+                "matrix",
+                "children._id",
+                "children.ref",
+                "child._id",
+                "child.ref",
+                "byName.$*",
+                "childByName.$*._id",
+                "childByName.$*.ref",
+            ].sort()
+        );
+    });
+
+    test("should cache the compiled paths per schema", () => {
+        const schema = new mongoose.Schema({ owner: mongoose.Schema.Types.ObjectId });
+        expect(objectIdPaths(schema)).toBe(objectIdPaths(schema));
+    });
+
+    test("should not loop on recursive schemas", () => {
+        const Comment = new mongoose.Schema({ author: mongoose.Schema.Types.ObjectId });
+        Comment.add({ replies: [Comment] });
+        expect(objectIdPaths(Comment)).toEqual(expect.arrayContaining(["author", "replies._id"]));
+    });
+
+    test("should compile leanHidden and leanAccess rules, subdocument paths included", () => {
+        const schema = new mongoose.Schema({
+            secret: { type: String, leanHidden: true },
+            tokens: [new mongoose.Schema({ value: { type: String, leanAccess: "admin" } })],
+            name: String,
+        });
+        expect(objectIdPaths.accessRules(schema)).toEqual([
+            { path: "secret", hidden: true },
+            { path: "tokens.value", hidden: false, access: ["admin"] },
+        ]);
+    });
+});
+
 describe("applyStringifyAtPath utility", () => {
     test("should stringify nested ObjectId fields", () => {
         const mockId = new mongoose.Types.ObjectId();
@@ -126,6 +2052,112 @@ describe("applyStringifyAtPath utility", () => {
         expect(doc.contributors[0]._id).toBe(mockId.toHexString());
     });
 
+    test("should stringify arrays (of arrays) of ObjectIds", () => {
+        const doc = { tags: [new mongoose.Types.ObjectId()], matrix: [[new mongoose.Types.ObjectId()]] };
+
+        applyStringifyAtPath(doc, "tags");
+        applyStringifyAtPath(doc, "matrix");
+
+        expect(typeof doc.tags[0]).toBe("string");
+        expect(typeof doc.matrix[0][0]).toBe("string");
+    });
+
+    test("should stringify every element or key with the * wildcard", () => {
+        const doc = {
+            items: [{ ref: new mongoose.Types.ObjectId() }, { ref: new mongoose.Types.ObjectId() }],
+            prices: { eur: new mongoose.Types.ObjectId(), usd: new mongoose.Types.ObjectId() },
+        };
+
+        applyStringifyAtPath(doc, "items.*.ref");
+        applyStringifyAtPath(doc, "prices.$*");
+
+        doc.items.forEach((item) => expect(typeof item.ref).toBe("string"));
+        expect(typeof doc.prices.eur).toBe("string");
+        expect(typeof doc.prices.usd).toBe("string");
+    });
+
+    test("should only stringify the given array index", () => {
+        const doc = { items: [{ ref: new mongoose.Types.ObjectId() }, { ref: new mongoose.Types.ObjectId() }] };
+
+        applyStringifyAtPath(doc, "items.1.ref");
+
+        expect(doc.items[0].ref).toBeInstanceOf(mongoose.Types.ObjectId);
+        expect(typeof doc.items[1].ref).toBe("string");
+    });
+
+    test("should reach every matching key at any depth with **", () => {
+        const doc = {
+            _id: new mongoose.Types.ObjectId(),
+            a: { _id: new mongoose.Types.ObjectId(), b: [{ _id: new mongoose.Types.ObjectId() }] },
+            matrix: [[{ _id: new mongoose.Types.ObjectId() }]],
+            other: new mongoose.Types.ObjectId(),
+        };
+
+        applyStringifyAtPath(doc, "**._id");
+
+        expect(typeof doc._id).toBe("string");
+        expect(typeof doc.a._id).toBe("string");
+        expect(typeof doc.a.b[0]._id).toBe("string");
+        expect(typeof doc.matrix[0][0]._id).toBe("string");
+        expect(doc.other).toBeInstanceOf(mongoose.Types.ObjectId);
+    });
+
+    test("should stringify everything below a trailing **", () => {
+        const doc = { refs: { a: new mongoose.Types.ObjectId(), b: [new mongoose.Types.ObjectId()] } };
+
+        applyStringifyAtPath(doc, "refs.**");
+
+        expect(typeof doc.refs.a).toBe("string");
+        expect(typeof doc.refs.b[0]).toBe("string");
+    });
+
+    test("should treat escaped dots as part of the key", () => {
+        const doc = { "v.1": { ref: new mongoose.Types.ObjectId() } };
+        applyStringifyAtPath(doc, "v\\.1.ref");
+        expect(typeof doc["v.1"].ref).toBe("string");
+    });
+
+    test("should stringify a compiled set of paths in one walk as path by path", () => {
+        const paths = ["owner", "items.ref", "items.*.tags", "prices.$*", "items.1.ref", "**._id", "v\\.1.ref"];
+        const build = () => {
+            const id = (hex) => new mongoose.Types.ObjectId(hex.padStart(24, "0"));
+            return {
+                _id: id("1"),
+                owner: id("2"),
+                items: [{ ref: id("3"), tags: [id("4")] }, { ref: id("5"), sub: { _id: id("6") } }],
+                prices: { eur: id("7") },
+                "v.1": { ref: id("8") },
+                other: id("9"),
+            };
+        };
+
+        const compiled = build();
+        applyStringifyAtPath.compileStringifyPaths(paths)(compiled);
+        const onePathAtATime = build();
+        for (const path of paths) applyStringifyAtPath(onePathAtATime, path);
+
+        expect(compiled).toEqual(onePathAtATime);
+        expect(compiled.other).toBeInstanceOf(mongoose.Types.ObjectId);
+        // Compiled once per set of paths
+        expect(compilePaths([...paths])).toBe(compilePaths(paths));
+    });
+
+    test("should keep a bounded number of compiled path sets, paths built per request do not grow it", () => {
+        for (let index = 0; index < 1500; index++) compilePaths([`field${index}`]);
+
+        // Past the bound, sets are compiled per call, and still work
+        const accessor = compilePaths(["field1499"]);
+        expect(compilePaths(["field1499"])).not.toBe(accessor);
+        const doc = { field1499: 1 };
+        accessor(doc, (parent, key) => (parent[key] = 2));
+        expect(doc.field1499).toBe(2);
+    });
+
+    test("should throw on malformed paths", () => {
+        expect(() => applyStringifyAtPath({}, "items..ref")).toThrow(TypeError);
+        expect(() => applyStringifyAtPath({}, "")).toThrow(TypeError);
+    });
+
     test("should not throw if nested field is missing", () => {
         const doc = { contributors: [{}] };
         expect(() => applyStringifyAtPath(doc, "contributors._id")).not.toThrow();
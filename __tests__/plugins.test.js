@@ -301,3 +301,158 @@ describe("stringify_id plugin", () => {
         expect(result._id).toBe(doc._id.toString());
     });
 });
+
+describe("plugin options", () => {
+    let mongo;
+    let instance;
+    let RenameModel;
+    let PackageModel;
+
+    beforeAll(async () => {
+        mongo = await MongoMemoryServer.create();
+        // A mongoose instance of its own, its global plugins do not leak into the other suites
+        instance = new mongoose.Mongoose();
+        await instance.connect(mongo.getUri());
+
+        instance.plugin(rename, { rename: "globalId" });
+        instance.plugin(stringifyKeys, { stringifyKeys: ["owner"] });
+
+        const RenameSchema = new instance.Schema({ name: String });
+        RenameSchema.plugin(rename, { rename: "renameId" });
+        RenameModel = instance.model("OptionsRename", RenameSchema);
+
+        const PackageSchema = new instance.Schema({ name: String, owner: instance.Schema.Types.ObjectId });
+        PackageModel = instance.model("OptionsPackage", PackageSchema);
+    });
+
+    afterAll(async () => {
+        await instance.disconnect();
+        await mongo.stop();
+    });
+
+    beforeEach(async () => {
+        await RenameModel.deleteMany({});
+        await PackageModel.deleteMany({});
+    });
+
+    test("should use the schema's plugin options over the global ones, once", async () => {
+        const doc = await RenameModel.create({ name: "Alpha" });
+
+        const result = await RenameModel.find().lean();
+        expect(result[0]).toEqual({ name: "Alpha", renameId: doc._id.toString(), __v: 0 });
+    });
+
+    test("should use the global plugin options of schemas without their own", async () => {
+        const owner = new mongoose.Types.ObjectId();
+        await PackageModel.create({ name: "express", owner });
+
+        const result = await PackageModel.findOne().lean();
+        expect(result.owner).toBe(owner.toString());
+        expect(result.globalId).toBeDefined();
+    });
+
+    test("should let query options win over plugin options", async () => {
+        const owner = new mongoose.Types.ObjectId();
+        await PackageModel.create({ name: "koa", owner });
+
+        const result = await PackageModel.findOne().lean({ rename: "queryId", stringifyKeys: [] });
+        expect(result.owner).toBeInstanceOf(mongoose.Types.ObjectId);
+        expect(result.queryId).toBeDefined();
+        expect(result).not.toHaveProperty("globalId");
+    });
+});
+
+describe("plugin files", () => {
+    let mongo;
+    let instance;
+
+    beforeAll(async () => {
+        mongo = await MongoMemoryServer.create();
+        instance = new mongoose.Mongoose();
+        await instance.connect(mongo.getUri());
+    });
+
+    afterAll(async () => {
+        await instance.disconnect();
+        await mongo.stop();
+    });
+
+    test("should stringify the renamed _id as plugins.rename does", async () => {
+        const RenameSchema = new instance.Schema({ name: String });
+        RenameSchema.plugin(require("../plugins/rename"));
+        const RenameModel = instance.model("FileRename", RenameSchema);
+        const doc = await RenameModel.create({ name: "Alpha" });
+
+        const result = await RenameModel.findOne().lean({ rename: "id" });
+        expect(result.id).toBe(doc._id.toString());
+        expect(result).not.toHaveProperty("_id");
+    });
+
+    test("should stringify _id as plugins.stringifyId does", async () => {
+        const StringifySchema = new instance.Schema({ name: String });
+        StringifySchema.plugin(require("../plugins/stringify"));
+        const StringifyModel = instance.model("FileStringify", StringifySchema);
+        const doc = await StringifyModel.create({ name: "Alpha" });
+
+        const result = await StringifyModel.findOne().lean();
+        expect(result._id).toBe(doc._id.toString());
+        expect(await StringifyModel.distinct("_id").lean()).toEqual([doc._id.toString()]);
+    });
+
+    test("should accept the cache option of the main plugin alongside the other plugins", async () => {
+        const warn = jest.spyOn(process, "emitWarning").mockImplementation(() => {});
+        const CachedSchema = new instance.Schema({ name: String });
+        CachedSchema.plugin(require("../index"));
+        CachedSchema.plugin(deversion);
+        const CachedModel = instance.model("FileCached", CachedSchema);
+        await CachedModel.create({ name: "Alpha" });
+
+        const result = await CachedModel.findOne().lean({ strict: true, cache: { ttl: 1000 } });
+        expect(result).toEqual({ _id: expect.any(String), name: "Alpha" });
+        expect(warn).not.toHaveBeenCalled();
+        warn.mockRestore();
+    });
+
+    test("should accept the options of every plugin of the schema", async () => {
+        const warn = jest.spyOn(process, "emitWarning").mockImplementation(() => {});
+        const MixedSchema = new instance.Schema({ name: String, owner: instance.Schema.Types.ObjectId });
+        MixedSchema.plugin(require("../index"));
+        MixedSchema.plugin(require("../plugins/otherStrings"));
+        const MixedModel = instance.model("FileMixed", MixedSchema);
+        await MixedModel.create({ name: "Alpha", owner: new mongoose.Types.ObjectId() });
+
+        const result = await MixedModel.findOne().lean({ strict: true, fields: ["owner"] });
+        expect(typeof result.owner).toBe("string");
+        await expect(MixedModel.findOne().lean({ strict: true, feilds: ["owner"] })).rejects.toThrow(/did you mean "fields"/);
+        expect(warn).not.toHaveBeenCalled();
+        warn.mockRestore();
+    });
+
+    test("should cache the results once the plugins applied after the main plugin transformed them", async () => {
+        const CachedSchema = new instance.Schema({ name: String, owner: instance.Schema.Types.ObjectId });
+        CachedSchema.plugin(require("../index"));
+        CachedSchema.plugin(require("../plugins/otherStrings"));
+        const CachedModel = instance.model("FileCachedMixed", CachedSchema);
+        await CachedModel.create({ name: "Alpha", owner: new mongoose.Types.ObjectId() });
+
+        const first = await CachedModel.findOne().lean({ fields: ["owner"], cache: { ttl: 1000 } });
+        const second = await CachedModel.findOne().lean({ fields: ["owner"], cache: { ttl: 1000 } });
+        expect(typeof first.owner).toBe("string");
+        expect(second).toEqual(first);
+    });
+
+    test("should accept stringifyKeys as well as fields in otherStrings", async () => {
+        const PackageSchema = new instance.Schema({ owner: instance.Schema.Types.ObjectId, author: instance.Schema.Types.ObjectId });
+        PackageSchema.plugin(require("../plugins/otherStrings"));
+        const PackageModel = instance.model("FilePackage", PackageSchema);
+        await PackageModel.create({ owner: new mongoose.Types.ObjectId(), author: new mongoose.Types.ObjectId() });
+
+        const byFields = await PackageModel.findOne().lean({ fields: ["owner"] });
+        expect(typeof byFields.owner).toBe("string");
+        expect(byFields.author).toBeInstanceOf(mongoose.Types.ObjectId);
+
+        const byKeys = await PackageModel.findOne().lean({ stringifyKeys: ["author"] });
+        expect(typeof byKeys.author).toBe("string");
+        expect(byKeys.owner).toBeInstanceOf(mongoose.Types.ObjectId);
+    });
+});
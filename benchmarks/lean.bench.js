@@ -0,0 +1,119 @@
+/** Benchmark of the lean transforms on large result sets
+ *
+ * Seeds mongodb-memory-server with 10k and 100k packages, then times the transforms of a few option sets on
+ * the documents of a plain .lean() query: the time the plugin adds to a query, per 100 documents.
+ * The run fails (exit code 1) when an option set goes over the budget, the "<2ms per 100 documents" of the README.
+ *
+ * $ npm run bench
+ * $ BENCH_SIZES=10000,50000 BENCH_RUNS=5 BENCH_BUDGET_MS=2 npm run bench
+ */
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const mongooseLeanExtension = require("../index");
+const { runLeanPipeline } = require("../util/pipeline");
+const { resolveLeanOptions } = require("../util/leanOptions");
+
+const SIZES = (process.env.BENCH_SIZES ?? "10000,100000").split(",").map(Number);
+const RUNS = Number(process.env.BENCH_RUNS ?? 3);
+const BUDGET_MS = Number(process.env.BENCH_BUDGET_MS ?? 2);
+
+// Option sets, from the defaults to every ObjectId path of the schema
+const SCENARIOS = {
+    defaults: {},
+    "rename + stringifyKeys": { rename: "id", stringifyKeys: ["owner", "tags", "contributors._id", "contributors.account"] },
+    "stringifyKeys: auto": { stringifyKeys: "auto" },
+    "keyCase + convert": { keyCase: "snake", convert: { Date: "iso" } },
+};
+
+const ContributorSchema = new mongoose.Schema({ username: String, account: mongoose.Schema.Types.ObjectId });
+const PackageSchema = new mongoose.Schema(
+    {
+        name: String,
+        owner: mongoose.Schema.Types.ObjectId,
+        tags: [mongoose.Schema.Types.ObjectId],
+        contributors: [ContributorSchema],
+        downloads: Number,
+    },
+    { timestamps: true }
+);
+PackageSchema.plugin(mongooseLeanExtension);
+const Package = mongoose.model("BenchPackage", PackageSchema);
+
+// The same collection without the plugin, its lean documents are the input of the transforms
+const Raw = mongoose.model("BenchRaw", new mongoose.Schema({}, { strict: false }), Package.collection.name);
+
+// Helper that seeds the collection with size packages, in batches
+async function seed(size) {
+    await Package.collection.deleteMany({});
+    const now = new Date();
+    for (let offset = 0; offset < size; offset += 10000) {
+        const batch = [];
+        for (let index = offset; index < Math.min(offset + 10000, size); index++) {
+            batch.push({
+                name: `package-${index}`,
+                owner: new mongoose.Types.ObjectId(),
+                tags: [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()],
+                contributors: [0, 1, 2].map((n) => ({
+                    _id: new mongoose.Types.ObjectId(),
+                    username: `user-${index}-${n}`,
+                    account: new mongoose.Types.ObjectId(),
+                })),
+                downloads: index,
+                createdAt: now,
+                updatedAt: now,
+                __v: 0,
+            });
+        }
+        await Package.collection.insertMany(batch);
+    }
+}
+
+// Helper that times the transforms of an option set on fresh documents, the median of the runs
+// A first run on 1000 documents warms the transforms up, the code the JIT compiles is the code a server runs
+async function timeScenario(options) {
+    const leanOptions = resolveLeanOptions(PackageSchema, mongooseLeanExtension, options);
+    runLeanPipeline(await Raw.find().limit(1000).lean(), leanOptions, { model: Package });
+
+    const timings = [];
+    for (let run = 0; run < RUNS; run++) {
+        const docs = await Raw.find().lean();
+        const start = process.hrtime.bigint();
+        runLeanPipeline(docs, leanOptions, { model: Package });
+        timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    timings.sort((a, b) => a - b);
+    return timings[Math.floor(timings.length / 2)];
+}
+
+async function main() {
+    const mongo = await MongoMemoryServer.create();
+    await mongoose.connect(mongo.getUri());
+
+    const rows = [];
+    try {
+        for (const size of SIZES) {
+            await seed(size);
+            for (const [scenario, options] of Object.entries(SCENARIOS)) {
+                const ms = await timeScenario(options);
+                rows.push({ documents: size, options: scenario, "transform ms": +ms.toFixed(1), "ms / 100 docs": +((ms / size) * 100).toFixed(3) });
+            }
+        }
+    } finally {
+        await mongoose.disconnect();
+        // A server that went down on the way would hide the error that took it down
+        await mongo.stop().catch(() => {});
+    }
+
+    console.table(rows);
+    const over = rows.filter((row) => row["ms / 100 docs"] > BUDGET_MS);
+    if (over.length) {
+        console.error(`Over the budget of ${BUDGET_MS}ms per 100 documents: ${over.map((row) => `${row.options} (${row.documents})`).join(", ")}`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
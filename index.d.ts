@@ -1,9 +1,70 @@
-import { Schema } from "mongoose";
+import { Readable } from "stream";
+import { FilterQuery, HydratedDocument, Model, Require_id, Schema, SortOrder, Types } from "mongoose";
 export interface MongooseLeanExtensionOptions {
-    stringifyKeys?: string[];
+    /** Dot-paths of ObjectIds to stringify, or "auto" for every ObjectId path of the schema. */
+    stringifyKeys?: readonly string[] | "auto";
     showVersion?: boolean;
     stringifyId?: boolean;
     rename?: string;
+    /** Converts other BSON types, in the whole document or only at the given paths. */
+    convert?: {
+        Decimal128?: "number" | "string";
+        Long?: "number" | "bigint" | "string";
+        UUID?: "string";
+        Binary?: "base64" | "hex";
+        Date?: "iso" | "epoch";
+        paths?: string[];
+    };
+    /** Renames the keys at the given paths, e.g. { createdAt: "created_at", "contributors.username": "login" }. */
+    renameKeys?: Record<string, string>;
+    /** Rewrites every key recursively, except the excluded paths (and everything below them), _id and the renameKeys names. */
+    keyCase?: "snake" | "camel" | "kebab" | { to: "snake" | "camel" | "kebab"; exclude?: string[]; dataKeys?: boolean };
+    /** Translates the `rename` key back to `_id` in filters, sorts and projections, and casts string ids at ObjectId paths. */
+    translateQuery?: boolean;
+    /** Roles of the query, `leanAccess` paths are shown to the roles they list. */
+    role?: string | string[];
+    /** `leanHidden` and `leanAccess` paths to show anyway. */
+    reveal?: string[];
+    /** Computes the schema's virtuals, or the listed ones (subdocument ones as dot-paths). */
+    virtuals?: boolean | string[];
+    /** Applies the schema's getters. */
+    getters?: boolean;
+    /** Fills in the schema's defaults for the missing values of selected paths. */
+    defaults?: boolean;
+    /** Name of a view declared with `schema.leanView()`, its projection and options apply to the query. */
+    view?: string;
+    /** Paths to remove from the results, e.g. `["passwordHash"]`. */
+    hide?: string[];
+    /** Removes null fields, recursively through subdocuments and arrays. */
+    omitNull?: boolean;
+    /** Removes empty arrays and objects, recursively, the ones the other pruning options emptied included. */
+    omitEmpty?: boolean;
+    /** Removes the fields still at the (non-function) default of their schema path, recursively. */
+    omitDefaults?: boolean;
+    /** Schema paths (without array indexes) `omitNull`, `omitEmpty` and `omitDefaults` leave as they are, e.g. `["contributors.languages"]`. */
+    keep?: string[];
+    /** Flattens documents to dot-notation columns (ObjectIds as strings), arrays joined (`"a, b"`, the default) or expanded by index (`tags.0`). */
+    flatten?: boolean | { arrays?: "join" | "index"; separator?: string };
+    /** Answers `find()` and `findOne()` from an in-process LRU cache for `ttl` milliseconds, writes through the model invalidate it. */
+    cache?: { ttl: number };
+    /** Output format of the results, "jsonapi" resolves queries to a JSON:API document, `{ data, included? }`. */
+    format?: "jsonapi";
+    /** Type of the JSON:API resources, the collection name of the model by default. */
+    type?: string;
+    /** Options of the documents of each discriminator, by model name, merged over the other options, e.g. `{ Click: { stringifyKeys: ["target"] } }`. */
+    byType?: Record<string, Omit<MongooseLeanExtensionOptions, "byType" | "view" | "cache">>;
+    /** Throws a TypeError on unknown options, a non-string or colliding `rename` and `stringifyKeys` paths missing from the schema, rather than warning once per model. */
+    strict?: boolean;
+    /** Applies stringifyId, rename and showVersion to populated documents: every path, the listed paths or per-path options. */
+    populated?: boolean | string[] | Record<string, boolean | Omit<MongooseLeanExtensionOptions, "populated">>;
+}
+
+/** Options of the plugin and of the `leanExtension` schema option: default lean options, and the shape of hydrated documents. */
+export interface MongooseLeanExtensionPluginOptions extends MongooseLeanExtensionOptions {
+    /** Sets a `toJSON` transform giving documents the shape of their lean reads, with the default lean options (`true`) or options of its own over them. */
+    toJSON?: boolean | MongooseLeanExtensionOptions;
+    /** Sets a `toObject` transform, as `toJSON` does. */
+    toObject?: boolean | MongooseLeanExtensionOptions;
 }
 
 /**
@@ -12,12 +73,35 @@ export interface MongooseLeanExtensionOptions {
  * Automatically stringifies ObjectId values, removes the `__v` field by default, renames `_id` and allows customization of returned document structure.
  *
  * @param {Schema} schema - The Mongoose schema to apply the plugin to.
+ * @param {MongooseLeanExtensionPluginOptions} [options] - Default lean options, and `toJSON` / `toObject` to give hydrated documents the shape of lean ones. Query options win over schema ones (`leanExtension` schema option, then `schema.plugin()` options), which win over global ones.
  *
- * @augments .lean() - Supports options: { stringifyKeys: Array<string>, __v: boolean, _id: boolean, rename: string }
+ * @augments .lean() - Supports the options of {@link MongooseLeanExtensionOptions}, e.g. { stringifyKeys: Array<string>, showVersion: boolean, stringifyId: boolean, rename: string }
  * @param {boolean} [stringifyId=true] - If false, documents' `_id` remains an ObjectId; if true, `_id` is stringified to hex.
  * @param {boolean} [showVersion=false] - If true, includes the `__v` field in results; if false, removes it.
- * @param {Array<string>} [stringifyKeys=[]] - Array of dot-paths to ObjectId keys to convert to hex strings.
+ * @param {Array<string>|"auto"} [stringifyKeys=[]] - Array of dot-paths to ObjectId keys to convert to hex strings, or "auto" for all of the schema's ObjectId paths.
  * @param {string} [rename] - If provided, renames the `_id` field to the given string.
+ * @param {Object} [convert] - Converts Decimal128, Long, UUID / Binary and Date values, e.g. `{ Decimal128: "number", Date: "iso" }`.
+ * @param {Object} [renameKeys] - Renames the keys at the given dot-paths, e.g. `{ createdAt: "created_at" }`.
+ * @param {string|Object} [keyCase] - Rewrites every key to "snake", "camel" or "kebab" case, e.g. `{ to: "snake", exclude: ["meta"] }`. The keys of Map and Mixed paths are left as they are unless `dataKeys` is true.
+ * @param {boolean} [translateQuery] - If true, queries may use the `rename` key and string ids, e.g. `find({ id: "683a..." }).sort("id")`.
+ * @param {string|Array<string>} [role] - Shows the `leanAccess` schema paths granted to the role(s); other `leanAccess` and `leanHidden` paths are removed.
+ * @param {Array<string>} [reveal] - `leanHidden` and `leanAccess` paths to show anyway, e.g. `["passwordHash"]`.
+ * @param {boolean|Array<string>} [virtuals] - Computes schema virtuals, all of them or the listed ones, subdocuments included.
+ * @param {boolean} [getters] - Applies schema getters, subdocuments and array items included.
+ * @param {boolean} [defaults] - Fills in schema defaults older documents lack, subdocuments included.
+ * @param {boolean|Array<string>|Object} [populated] - Applies `stringifyId`, `rename` and `showVersion` to populated documents too.
+ * @param {string} [view] - Applies the projection and the options of a view declared with `schema.leanView(name, {...})`.
+ * @param {Array<string>} [hide] - Paths to remove from the results, e.g. `["passwordHash"]`.
+ * @param {boolean} [omitNull] - Removes null fields, recursively through subdocuments and arrays.
+ * @param {boolean} [omitEmpty] - Removes empty arrays and objects, recursively.
+ * @param {boolean} [omitDefaults] - Removes the fields still at their schema default, recursively.
+ * @param {Array<string>} [keep] - Schema paths the pruning options leave as they are, e.g. `["contributors.languages"]`.
+ * @param {boolean|Object} [flatten] - Flattens documents to dot-notation columns, e.g. `{ arrays: "index" }` to expand arrays rather than join them.
+ * @param {Object} [cache] - Caches the transformed results of `find()` and `findOne()` for `ttl` milliseconds, e.g. `{ ttl: 5000 }`.
+ * @param {"jsonapi"} [format] - Resolves queries to a JSON:API document: `{ data, included }`, ref paths under `relationships` and populated documents in `included`.
+ * @param {string} [type] - Type of the JSON:API resources, the collection name of the model by default.
+ * @param {Object} [byType] - Options of the documents of each discriminator, e.g. `{ Click: { rename: "clickId" } }`; every document is transformed with its own type's schema.
+ * @param {boolean} [strict] - If true, invalid options reject the query with a `TypeError`; otherwise they are reported once per model as process warnings.
  *
  * @example
  * const mongooseLeanExtension = require("mongoose-lean-extension");
@@ -64,9 +148,211 @@ export interface MongooseLeanExtensionOptions {
  * @author Ssekandi Raymond
  * @contact ssekandiraymond01@gmail.com
  */
-declare function mongooseLeanExtension(schema: Schema): void;
+declare function mongooseLeanExtension(schema: Schema, options?: MongooseLeanExtensionPluginOptions): void;
 export default mongooseLeanExtension;
 
+// Values left as they are by the ObjectId mappings below
+type LeanLeaf = Date | RegExp | Types.Decimal128 | Types.Buffer | Uint8Array | Map<any, any> | ((...args: any[]) => any);
+
+/** `T` with every ObjectId (in arrays and subdocuments too) typed as a hex string. */
+export type StringifyObjectIds<T> = T extends Types.ObjectId
+    ? string
+    : T extends LeanLeaf
+    ? T
+    : T extends readonly (infer U)[]
+    ? StringifyObjectIds<U>[]
+    : T extends object
+    ? { [K in keyof T]: StringifyObjectIds<T[K]> }
+    : T;
+
+// Helper that picks the rest of the paths starting with `${K}.`
+type PathsBelow<P extends string, K extends string> = P extends `${K}.${infer Rest}` ? Rest : never;
+
+/** `T` with the ObjectIds at the given dot-paths typed as hex strings, e.g. `StringifyPaths<Doc, "owner" | "contributors._id">`. Wildcard paths are left untyped. */
+export type StringifyPaths<T, P extends string> = [P] extends [never]
+    ? T
+    : T extends LeanLeaf | Types.ObjectId
+    ? T
+    : T extends readonly (infer U)[]
+    ? StringifyPaths<U, P>[]
+    : T extends object
+    ? { [K in keyof T]: K extends P ? StringifyObjectIds<T[K]> : StringifyPaths<T[K], PathsBelow<P, K & string>> }
+    : T;
+
+// Helpers of LeanResult, one per option
+type WithStringifyKeys<T, O> = O extends { stringifyKeys: "auto" }
+    ? { [K in keyof T]: K extends "_id" ? T[K] : StringifyObjectIds<T[K]> }
+    : O extends { stringifyKeys: readonly (infer P extends string)[] }
+    ? StringifyPaths<T, P>
+    : T;
+type WithStringifyId<T, O> = O extends { stringifyId: false } ? T : { [K in keyof T]: K extends "_id" ? StringifyObjectIds<T[K]> : T[K] };
+type WithoutVersion<T, O> = O extends { showVersion: true } ? T : Omit<T, "__v">;
+type WithRename<T, O> = O extends { rename: infer R extends string }
+    ? string extends R
+        ? T
+        : "_id" extends keyof T
+        ? Omit<T, "_id"> & { [K in R]: StringifyObjectIds<T["_id" & keyof T]> }
+        : T
+    : T;
+// Pruned fields may be missing at any depth, _id is never pruned
+type PrunedValue<T, O> = T extends Types.ObjectId | Date | Uint8Array
+    ? T
+    : T extends readonly (infer U)[]
+    ? PrunedValue<U, O>[]
+    : T extends object
+    ? { [K in keyof T]?: PrunedValue<O extends { omitNull: true } ? Exclude<T[K], null> : T[K], O> }
+    : T;
+type WithPruning<T, O> = O extends { omitNull: true } | { omitEmpty: true } | { omitDefaults: true }
+    ? Pick<T, "_id" & keyof T> & PrunedValue<Omit<T, "_id">, O>
+    : T;
+type Simplify<T> = { [K in keyof T]: T[K] } & {};
+
+// Options whose effect on the shape is out of the types' reach: the options of a view are declared on the schema, flattened keys
+// are the documents' own, byType options depend on each document's discriminator, keyCase and renameKeys rename keys,
+// convert changes the type of BSON values, hide and role remove paths
+type UntypedShapeOptions =
+    | { view: string }
+    | { flatten: true | object }
+    | { byType: object }
+    | { keyCase: string | object }
+    | { renameKeys: object }
+    | { convert: object }
+    | { hide: readonly string[] }
+    | { role: string | readonly string[] };
+
+/**
+ * The type of a lean document `T` once the lean options `O` are applied: `stringifyKeys` paths (or every ObjectId path with "auto") become strings,
+ * `_id` is stringified unless `stringifyId` is false, `__v` is dropped unless `showVersion` is true and `_id` is renamed to `rename`.
+ * With `omitNull`, `omitEmpty` or `omitDefaults`, the other fields are optional at every depth.
+ * With `view`, `flatten`, `byType`, `keyCase`, `renameKeys`, `convert`, `hide` or `role`, the result is typed as `Record<string, any>`.
+ *
+ * Only the options of the query are known to the types, plugin and schema defaults are not.
+ *
+ * @example
+ * type Package = LeanResult<{ _id: Types.ObjectId; owner: Types.ObjectId; __v: number }, { rename: "id"; stringifyKeys: ["owner"] }>;
+ * // { owner: string; id: string }
+ */
+export type LeanResult<T, O = {}> = T extends null | undefined
+    ? T
+    : O extends UntypedShapeOptions
+    ? Record<string, any>
+    : Simplify<WithRename<WithoutVersion<WithStringifyId<WithPruning<WithStringifyKeys<T, O>, O>, O>, O>, O>>;
+
+/** Options of `Model.exportLean(filter, options)`. */
+export interface ExportLeanOptions {
+    /** Format of the rows, CSV (RFC 4180, the default) or one JSON document per line. */
+    format?: "csv" | "ndjson";
+    /** Keys of the rows to export, in order, the keys of the first row by default. */
+    columns?: string[];
+    /** Lean options of the query, `flatten: true` by default. */
+    lean?: MongooseLeanExtensionOptions & Record<string, unknown>;
+    sort?: string | Record<string, SortOrder>;
+    limit?: number;
+}
+
+/** Options of `Model.findLeanPage(filter, options)`. */
+export interface FindLeanPageOptions<O extends MongooseLeanExtensionOptions = MongooseLeanExtensionOptions> {
+    /** Items of the page, 20 by default. */
+    limit?: number;
+    /** The `nextCursor` of the previous page. */
+    after?: string | null;
+    /** Sort on indexed fields, `{ _id: 1 }` by default, the `rename` key standing for `_id`. Ties are broken by `_id`. */
+    sort?: string | Record<string, 1 | -1 | "asc" | "ascending" | "desc" | "descending">;
+    /** Lean options of the query, the items are transformed as usual. */
+    leanOptions?: O;
+}
+
+/** A page of `Model.findLeanPage()`, `nextCursor` is null on the last page. */
+export interface LeanPage<T> {
+    items: T[];
+    nextCursor: string | null;
+    hasMore: boolean;
+}
+
+/** A view of a model declared with `schema.leanView(name, definition)`: a projection and lean options, possibly extending another view. */
+export interface LeanViewDefinition extends Omit<MongooseLeanExtensionOptions, "view"> {
+    /** The projection of the view, as `.select()` takes it, e.g. `"name owner"` or `{ passwordHash: 0 }`. */
+    select?: string | string[] | Record<string, number | boolean | string | object>;
+    /** Name of the view this one builds upon, its keys replace the other view's ones. */
+    extends?: string;
+    [option: string]: unknown;
+}
+
+/** A JSON:API resource identifier, the value of a relationship. */
+export interface JsonApiIdentifier {
+    type: string;
+    id: string;
+}
+
+/** A lean document as a JSON:API resource, with `format: "jsonapi"`. */
+export interface JsonApiResource {
+    id: string;
+    type: string;
+    attributes: Record<string, unknown>;
+    relationships?: Record<string, { data: JsonApiIdentifier | JsonApiIdentifier[] | null }>;
+}
+
+/** What queries resolve to with `format: "jsonapi"`, a resource (`findOne()`) or a list of resources (`find()`) with the populated ones. */
+export interface JsonApiDocument<D = JsonApiResource | JsonApiResource[]> {
+    data: D;
+    included?: JsonApiResource[];
+}
+
+/** What a lean transform knows of the query, `populating` is true for the documents of populate queries. */
+export interface LeanTransformContext {
+    model?: Model<any>;
+    populate?: unknown;
+    populating?: boolean;
+    projection?: Record<string, unknown>;
+    aggregate?: boolean;
+    /** True when the query resolves to a single document, e.g. `findOne()`. */
+    single?: boolean;
+}
+
+/** A step of the lean transform pipeline, transforms a lean document in place. */
+export type LeanTransform = (
+    doc: Record<string, any>,
+    leanOptions: MongooseLeanExtensionOptions & Record<string, any>,
+    context: LeanTransformContext
+) => void;
+
+/** A step of the lean transform pipeline that prepares its work once per query, e.g. compiling paths. */
+export interface LeanTransformStep {
+    /** Returns the function applied to every document of the query, or null to skip the step for it. */
+    prepare(
+        leanOptions: MongooseLeanExtensionOptions & Record<string, any>,
+        context: LeanTransformContext
+    ): ((doc: Record<string, any>) => void) | null;
+    /** Transforms `.distinct()` values in place. */
+    distinct?(values: unknown[], path: string, leanOptions: MongooseLeanExtensionOptions & Record<string, any>, context: LeanTransformContext): void;
+    /** Lean options the step reads, `[name]` by default. */
+    options?: string[];
+}
+
+/**
+ * Registers a step of the lean transform pipeline, at its end or before / after another step.
+ *
+ * @example
+ * registerLeanTransform("redact", (doc, { redact }) => {
+ *     if (redact) delete doc.email;
+ * }, { before: "rename" });
+ *
+ * The options the step reads (`options`, the step's name by default) are not reported as unknown options.
+ *
+ * @throws {TypeError} On a missing name or function, a name already taken or an unknown `before` / `after` step.
+ */
+export function registerLeanTransform(
+    name: string,
+    fn: LeanTransform | LeanTransformStep,
+    order?: { before?: string; after?: string; /** Lean options the step reads, `[name]` by default. */ options?: string[] }
+): void;
+
+/** Drops every entry of the lean result cache (the `cache` option). */
+export function clearLeanCache(): void;
+
+/** Names of the pipeline's steps in the order they run, the built-in ones being `schemaValues`, `hidden`, `prune`, `stringifyKeys`, `convert`, `populated`, `showVersion`, `renameKeys`, `keyCase`, `stringifyId`, `rename`, `flatten` and `format`. */
+export function leanTransforms(): string[];
+
 /** Removes mongoose __v field from query results when using .lean()/**
  * @module mongoose-lean-extension/plugins
  *
@@ -94,7 +380,7 @@ export default mongooseLeanExtension;
  * schema.plugin(rename);
  *
  * // Customize lean query results
- * Model.find().lean({ keys: ["contributors._id"], rename: "customId" });
+ * Model.find().lean({ stringifyKeys: ["contributors._id"], rename: "customId" });
  * ```
  *
  * These plugins are designed to be composable and can be applied individually or together to any Mongoose schema.
@@ -107,7 +393,7 @@ export default mongooseLeanExtension;
  * @author Ssekandi Raymond
  * @link ssekandiraymond01@gmail.com
  */
-export function deversion(schema: Schema): void;
+export function deversion(schema: Schema, options?: MongooseLeanExtensionOptions): void;
 
 /** Turns the the _id field type in the document(s) from mongo's ObjectId (if it is) to hex string
  * @module mongoose-lean-extension/plugins
@@ -136,7 +422,7 @@ export function deversion(schema: Schema): void;
  * schema.plugin(rename);
  *
  * // Customize lean query results
- * Model.find().lean({ keys: ["contributors._id"], rename: "customId" });
+ * Model.find().lean({ stringifyKeys: ["contributors._id"], rename: "customId" });
  * ```
  *
  * These plugins are designed to be composable and can be applied individually or together to any Mongoose schema.
@@ -148,7 +434,7 @@ export function deversion(schema: Schema): void;
  * @author Ssekandi Raymond
  * @link ssekandiraymond01@gmail.com
  */
-export function stringifyId(schema: Schema): void;
+export function stringifyId(schema: Schema, options?: MongooseLeanExtensionOptions): void;
 
 /** Converts other specified ObjectId keys to hex strings other than the _id field
  * @param schema Mongoose schema
@@ -178,7 +464,7 @@ export function stringifyId(schema: Schema): void;
  * schema.plugin(rename);
  *
  * // Customize lean query results
- * Model.find().lean({ keys: ["contributors._id"], rename: "customId" });
+ * Model.find().lean({ stringifyKeys: ["contributors._id"], rename: "customId" });
  * ```
  *
  * These plugins are designed to be composable and can be applied individually or together to any Mongoose schema.
@@ -190,7 +476,7 @@ export function stringifyId(schema: Schema): void;
  * @author Ssekandi Raymond
  * @link ssekandiraymond01@gmail.com
  */
-export function stringifyKeys(schema: Schema): void;
+export function stringifyKeys(schema: Schema, options?: MongooseLeanExtensionOptions): void;
 
 /** Renames the _id field to a custom key in query results when using .lean()
  * @param schema Mongoose schema
@@ -220,7 +506,7 @@ export function stringifyKeys(schema: Schema): void;
  * schema.plugin(rename);
  *
  * // Customize lean query results
- * Model.find().lean({ keys: ["contributors._id"], rename: "customId" });
+ * Model.find().lean({ stringifyKeys: ["contributors._id"], rename: "customId" });
  * ```
  *
  * These plugins are designed to be composable and can be applied individually or together to any Mongoose schema.
@@ -232,10 +518,53 @@ export function stringifyKeys(schema: Schema): void;
  * @author Ssekandi Raymond
  * @contact ssekandiraymond01@gmail.com
  */
-export function rename(schema: Schema): void;
+export function rename(schema: Schema, options?: MongooseLeanExtensionOptions): void;
 
 // Augment Mongoose to support custom `.lean()` options.
 declare module "mongoose" {
+    // `Model.aggregate([...]).option({ leanExtension: {...} })` applies the same options to aggregation results.
+    // Aggregations resolve to arrays, `format` does not apply to them.
+    interface AggregateOptions {
+        leanExtension?: boolean | Omit<MongooseLeanExtensionOptions, "format">;
+    }
+
+    // `new Schema({...}, { leanExtension: {...} })` sets the default lean options of the schema.
+    interface SchemaOptions {
+        leanExtension?: MongooseLeanExtensionPluginOptions;
+    }
+
+    // `Model.exportLean(filter, options)` streams the model's lean results as CSV or NDJSON, `Model.findLeanPage()` pages them
+    // and `Model.fromLean()` / `Model.hydrateFromLean()` turn them back into documents.
+    interface Model<
+        TRawDocType,
+        TQueryHelpers = {},
+        TInstanceMethods = {},
+        TVirtuals = {},
+        THydratedDocumentType = HydratedDocument<TRawDocType, TVirtuals & TInstanceMethods, TQueryHelpers, TVirtuals>,
+        TSchema = any
+    > {
+        exportLean(filter?: FilterQuery<TRawDocType>, options?: ExportLeanOptions): Readable;
+        /** Undoes `rename`, `stringifyId` and `stringifyKeys` (the schema defaults included): the object as MongoDB stores it. */
+        fromLean(obj: Record<string, unknown>, leanOptions?: MongooseLeanExtensionOptions): Require_id<TRawDocType>;
+        /** Hydrates `fromLean(obj)`, its paths marked as modified so that `save()` writes them, the version key checked with `optimisticConcurrency`. */
+        hydrateFromLean(obj: Record<string, unknown>, leanOptions?: MongooseLeanExtensionOptions): THydratedDocumentType;
+        findLeanPage<const O extends MongooseLeanExtensionOptions = {}>(
+            filter?: FilterQuery<TRawDocType>,
+            options?: FindLeanPageOptions<O>
+        ): Promise<LeanPage<LeanResult<Require_id<TRawDocType>, O>>>;
+    }
+
+    // `schema.leanView("public", { select, rename, ... })` declares a view, `.lean({ view: "public" })` uses it.
+    interface Schema {
+        leanView(name: string, definition: LeanViewDefinition): this;
+    }
+
+    // `{ type: String, leanHidden: true }` and `{ type: String, leanAccess: ["admin"] }` restrict paths of lean results.
+    interface SchemaTypeOptions<T, EnforcedDocType = any, THydratedDocumentType = HydratedDocument<EnforcedDocType>> {
+        leanHidden?: boolean;
+        leanAccess?: string | string[];
+    }
+
     // Match full generic signature of Mongoose v7+/v8+ Query type
     interface Query<
         ResultType,
@@ -245,18 +574,16 @@ declare module "mongoose" {
         QueryOp = "find",
         TDocOverrides = Record<string, never>
     > {
-        // Overloaded `.lean()` method with extended options.
-        lean<T extends boolean = true>(
-            val?: T extends false
-                ? false
-                : {
-                      stringifyKeys?: string[];
-                      showVersion?: boolean;
-                      stringifyId?: boolean;
-                      rename?: string;
-                  }
-        ): Query<
-            T extends false ? DocType : ResultType,
+        // `.lean({...})` with the options of this package, the result type reflects stringifyKeys, stringifyId, showVersion, rename and pruning,
+        // the options that reshape documents otherwise type them as Record<string, any>.
+        lean<const O extends MongooseLeanExtensionOptions>(
+            val: O
+        ): QueryWithHelpers<
+            ResultType extends null
+                ? O extends { format: "jsonapi" }
+                    ? JsonApiDocument<JsonApiResource | null>
+                    : LeanResultOf<GetLeanResultType<RawDocType, ResultType, QueryOp>, O> | null
+                : LeanResultOf<GetLeanResultType<RawDocType, ResultType, QueryOp>, O>,
             DocType,
             THelpers,
             RawDocType,
@@ -265,3 +592,15 @@ declare module "mongoose" {
         >;
     }
 }
+
+// Maps arrays of results item by item, format: "jsonapi" wraps them in a JSON:API document
+// Options the types cannot follow type the documents as Record<string, any>, see LeanResult
+type LeanResultOf<R, O> = R extends readonly (infer U)[]
+    ? O extends { format: "jsonapi" }
+        ? JsonApiDocument<JsonApiResource[]>
+        : LeanResult<U, O>[]
+    : R extends null | undefined
+    ? R
+    : O extends { format: "jsonapi" }
+    ? JsonApiDocument<JsonApiResource>
+    : LeanResult<R, O>;
@@ -1,64 +1,43 @@
-const mongoose = require("mongoose");
-const applyStringifyAtPath = require("./util/stringifyPaths");
+const { registerLeanTransform, leanTransforms, attachLeanPipeline } = require("./util/pipeline");
+const exportLean = require("./util/exportLean");
+const findLeanPage = require("./util/leanPage");
+const { clearLeanCache } = require("./util/leanCache");
+const { resolveLeanOptions } = require("./util/leanOptions");
+const { fromLean, hydrateFromLean } = require("./util/fromLean");
+const { attachDocumentTransforms } = require("./util/documentTransforms");
 
-module.exports = function mongooseLeanExtension(schema) {
-    // Attach a post hook to both 'find' and 'findOne' query methods
-    schema.post(["find", "findOne"], function (result, next) {
-        try {
-            // Retrieve Mongoose query options to check for lean
-            const options = this?._mongooseOptions ?? this?.getOptions();
-            // If lean is not used or no result was returned (null or undefined), skip processing
-            if (!options?.lean || !result) return next();
-            // Extract the custom 'stringifyKeys' array, __v and _id booleans from lean options
-            const {
-                stringifyKeys = [],
-                showVersion = false,
-                stringifyId = true,
-                rename,
-            } = options.lean;
-            // If stringifyKeys array has been passed, stringify the ObjectIds in those paths
-            if (Array.isArray(stringifyKeys) && stringifyKeys?.length) {
-                // Normalize result into an array, ensures .findOne results are processed like an array
-                const docs = Array.isArray(result) ? result : [result];
+/** Extends .lean() with stringifyId, showVersion, stringifyKeys, rename, convert, populated, renameKeys, keyCase and translateQuery
+ *
+ * Every lean document goes through the lean transform pipeline, its built-in steps and the ones added with registerLeanTransform()
+ * Models also get Model.exportLean(filter, options), their lean results as a CSV or NDJSON stream,
+ * Model.findLeanPage(filter, options), keyset pages of their lean results,
+ * and Model.fromLean(obj, leanOptions) / Model.hydrateFromLean(obj, leanOptions), the transforms undone
+ *
+ * @param schema mongoose schema
+ * @param {Object} [options] default lean options, e.g. mongoose.plugin(mongooseLeanExtension, { rename: "id" })
+ * Query options win over the schema's (its leanExtension option, then schema.plugin() options), which win over the global ones
+ * toJSON and toObject (true or lean options) give hydrated documents the shape of lean ones, see ./util/documentTransforms.js
+ */
+module.exports = function mongooseLeanExtension(schema, options) {
+    // Attach post hooks to find, findOne, findOneAnd*, distinct, aggregate and insertMany
+    attachLeanPipeline(schema, { plugin: mongooseLeanExtension, options });
 
-                // Loop through each document returned by the query
-                for (const doc of docs) {
-                    // For each field path (e.g. 'contributors._id'), apply the ObjectId stringifier
-                    for (const path of stringifyKeys) {
-                        applyStringifyAtPath(doc, path);
-                    }
-                }
-            }
-            // .find() query results are always arrays but not .findOne()
-            // Next line turns .findOne() query results to an array
-            if (!Array.isArray(result)) result = [result];
-            // For deversion; if showVersion is true, mongoose __v will be included in the query results
-            if (!showVersion) {
-                // Looping through results array to delete __v field if it exists
-                result.forEach((record) => {
-                    if (Number.isInteger(record?.__v)) delete record.__v;
-                });
-            }
-            // For stringifying _id; if stringifyId is false, mongo's index field _id will not be stringified rather remain with type ObjectId
-            if (stringifyId || rename) {
-                result.forEach((record) => {
-                    const id = record?._id;
-                    if (id && id instanceof mongoose.Types.ObjectId) {
-                        record._id = id.toString();
-                    }
-                    // For naming _id field something else
-                    // If rename string is provided, mongo's index field _id will be renamed to the given value
-                    if (rename) {
-                        record[rename] = record._id;
-                        delete record._id;
-                    }
-                });
-            }
-            // Signal successful completion of this middleware / plugin
-            next();
-        } catch (error) {
-            // Signal incompletion of this middleware with an error
-            next(error);
-        }
+    schema.static("exportLean", exportLean);
+    schema.static("findLeanPage", findLeanPage);
+
+    // The transforms to undo are the ones of the options, the schema and plugin defaults included
+    const leanOptionsOf = (leanOptions) => resolveLeanOptions(schema, mongooseLeanExtension, leanOptions ?? true);
+    schema.static("fromLean", function (obj, leanOptions) {
+        return fromLean(this, obj, leanOptionsOf(leanOptions));
+    });
+    schema.static("hydrateFromLean", function (obj, leanOptions) {
+        return hydrateFromLean(this, obj, leanOptionsOf(leanOptions));
     });
+
+    // The schema's leanExtension option wins over the plugin options, as for lean options
+    attachDocumentTransforms(schema, { ...options, ...schema.get("leanExtension") }, leanOptionsOf);
 };
+
+module.exports.registerLeanTransform = registerLeanTransform;
+module.exports.leanTransforms = leanTransforms;
+module.exports.clearLeanCache = clearLeanCache;
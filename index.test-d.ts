@@ -0,0 +1,161 @@
+import { expectAssignable, expectError, expectNotAssignable, expectType } from "tsd";
+import { Readable } from "stream";
+import { AggregateOptions, model, Schema, Types } from "mongoose";
+import mongooseLeanExtension, {
+    MongooseLeanExtensionPluginOptions,
+    JsonApiDocument,
+    JsonApiResource,
+    LeanResult,
+    StringifyObjectIds,
+    StringifyPaths,
+    clearLeanCache,
+    registerLeanTransform,
+} from ".";
+
+interface Contributor {
+    _id: Types.ObjectId;
+    account: Types.ObjectId;
+    username: string;
+}
+
+interface Package {
+    name: string;
+    owner: Types.ObjectId;
+    tags: Types.ObjectId[];
+    contributors: Contributor[];
+    createdAt: Date;
+}
+
+const PackageSchema = new Schema<Package>({
+    name: String,
+    owner: Schema.Types.ObjectId,
+    tags: [Schema.Types.ObjectId],
+    contributors: [{ account: Schema.Types.ObjectId, username: String }],
+    createdAt: Date,
+});
+PackageSchema.plugin(mongooseLeanExtension, { rename: "id" });
+const PackageModel = model<Package>("Package", PackageSchema);
+
+// toJSON / toObject transforms are plugin (and leanExtension schema) options, not lean options
+expectAssignable<MongooseLeanExtensionPluginOptions>({ toJSON: true, toObject: { showVersion: true }, rename: "id" });
+expectNotAssignable<MongooseLeanExtensionPluginOptions>({ toJSON: "yes" });
+
+// Aggregations take the lean options but format, they resolve to arrays
+expectAssignable<AggregateOptions>({ leanExtension: { rename: "id" } });
+expectNotAssignable<AggregateOptions>({ leanExtension: { format: "jsonapi" } });
+new Schema({ name: String }, { leanExtension: { toJSON: true } });
+
+async function queries() {
+    // _id is stringified and __v dropped by default
+    const one = await PackageModel.findOne().lean({ stringifyKeys: ["owner"] });
+    expectType<string | undefined>(one?._id);
+    expectType<string | undefined>(one?.owner);
+    expectType<Types.ObjectId[] | undefined>(one?.tags);
+    expectError(one?.__v);
+
+    // rename moves the stringified _id to the new key
+    const many = await PackageModel.find().lean({ rename: "id" });
+    expectType<string>(many[0].id);
+    expectError(many[0]._id);
+    expectType<Date>(many[0].createdAt);
+
+    // Nested paths, through arrays of subdocuments
+    const nested = await PackageModel.find().lean({ stringifyKeys: ["contributors._id", "tags"] });
+    expectType<string>(nested[0].contributors[0]._id);
+    expectType<Types.ObjectId>(nested[0].contributors[0].account);
+    expectType<string[]>(nested[0].tags);
+
+    // "auto" stands for every ObjectId path
+    const auto = await PackageModel.findOne().lean({ stringifyKeys: "auto" });
+    expectType<string | undefined>(auto?.contributors[0].account);
+
+    // stringifyId: false and showVersion: true keep mongoose's own types
+    const raw = await PackageModel.findOne().lean({ stringifyId: false, showVersion: true });
+    expectType<Types.ObjectId | undefined>(raw?._id);
+    expectType<number | undefined>(raw?.__v);
+
+    // format: "jsonapi" resolves to a JSON:API document, a single resource for findOne
+    const documents = await PackageModel.find().lean({ format: "jsonapi", type: "packages" });
+    expectType<JsonApiDocument<JsonApiResource[]>>(documents);
+    expectType<string>(documents.data[0].id);
+    const document = await PackageModel.findOne().lean({ format: "jsonapi" });
+    // A query that matched nothing resolves to { data: null }
+    expectType<JsonApiResource | null>(document.data);
+
+    // Views are declared on the schema, their results are plain objects to the types
+    PackageSchema.leanView("public", { select: "name owner", rename: "id", hide: ["createdAt"] });
+    PackageSchema.leanView("admin", { extends: "public", select: { tags: 1 } });
+    const viewed = await PackageModel.find().lean({ view: "public" });
+    expectType<Record<string, any>[]>(viewed);
+
+    // Options renaming keys, converting values or removing paths type the documents as plain objects
+    expectType<Record<string, any> | null>(await PackageModel.findOne().lean({ keyCase: "snake" }));
+    expectType<Record<string, any> | null>(await PackageModel.findOne().lean({ keyCase: { to: "snake", dataKeys: true } }));
+    expectType<Record<string, any>[]>(await PackageModel.find().lean({ renameKeys: { createdAt: "created_at" } }));
+    expectType<Record<string, any>[]>(await PackageModel.find().lean({ convert: { Date: "iso" } }));
+    expectType<Record<string, any>[]>(await PackageModel.find().lean({ hide: ["owner"] }));
+    expectType<Record<string, any>[]>(await PackageModel.find().lean({ role: "admin" }));
+    const snake = await PackageModel.findLeanPage({}, { leanOptions: { keyCase: "snake" } });
+    expectType<Record<string, any>[]>(snake.items);
+
+    // Pruned fields may be missing, null ones never are with omitNull
+    const pruned = await PackageModel.findOne().lean({ omitNull: true, omitEmpty: true, keep: ["tags"] });
+    expectType<string | undefined>(pruned?._id);
+    expectType<string | undefined>(pruned?.name);
+    expectType<Types.ObjectId | undefined>(pruned?.contributors?.[0].account);
+
+    // Documents of discriminators get their own type's options, plain objects to the types
+    const byType = await PackageModel.find().lean({ byType: { Release: { stringifyKeys: "auto", rename: "releaseId" } } });
+    expectType<Record<string, any>[]>(byType);
+
+    // Flattened documents and exports
+    const flat = await PackageModel.findOne().lean({ flatten: { arrays: "index" } });
+    expectType<Record<string, any> | null>(flat);
+    expectType<Readable>(PackageModel.exportLean({ name: "express" }, { format: "csv", columns: ["_id", "name"] }));
+    expectError(PackageModel.exportLean({}, { format: "xlsx" }));
+
+    // Pages of transformed items
+    const page = await PackageModel.findLeanPage({}, { limit: 10, sort: { createdAt: -1 }, leanOptions: { rename: "id" } });
+    expectType<string>(page.items[0].id);
+    expectType<string | null>(page.nextCursor);
+    expectError(PackageModel.findLeanPage({}, { sort: { createdAt: 2 } }));
+
+    // Cached results have the shape of the options
+    const cached = await PackageModel.findOne().lean({ cache: { ttl: 5000 }, rename: "id" });
+    expectType<string | undefined>(cached?.id);
+    clearLeanCache();
+
+    // Served objects back into documents
+    const stored = PackageModel.fromLean({ id: "683a0000000000000000000a", owner: "683a0000000000000000000b" }, { stringifyKeys: ["owner"] });
+    expectType<Types.ObjectId>(stored._id);
+    const hydrated = PackageModel.hydrateFromLean({ name: "express" });
+    expectType<string>(hydrated.name);
+
+    // lean() on its own, or with a result type of your own, keeps mongoose's typing
+    const typed = await PackageModel.find().lean<{ name: string }[]>();
+    expectType<{ name: string }[]>(typed);
+}
+
+// The result types on their own
+type Doc = { _id: Types.ObjectId; __v: number; owner: Types.ObjectId; meta: { ref: Types.ObjectId; at: Date } };
+
+expectType<{ id: string; owner: Types.ObjectId; meta: { ref: Types.ObjectId; at: Date } }>(
+    {} as LeanResult<Doc, { rename: "id" }>
+);
+expectType<{ _id: string; owner: Types.ObjectId; meta: { ref: string; at: Date } }>(
+    {} as LeanResult<Doc, { stringifyKeys: ["meta.ref"] }>
+);
+expectAssignable<{ ref: string; at: Date }>({} as StringifyObjectIds<Doc["meta"]>);
+expectNotAssignable<{ owner: string }>({} as StringifyPaths<Doc, "meta.ref">);
+expectType<null>(null as LeanResult<null, { rename: "id" }>);
+
+registerLeanTransform("redact", (doc, { redact }, context) => {
+    expectType<boolean | undefined>(context.populating);
+    if (redact) delete doc.email;
+}, { before: "rename" });
+expectError(registerLeanTransform("redact", () => {}, { before: 1 }));
+registerLeanTransform("trim", {
+    prepare: ({ trim }) => (trim ? (doc) => void (doc.name = String(doc.name).trim()) : null),
+});
+
+queries();
@@ -2,6 +2,7 @@
  * @abstract I mean, why would __v field be in query results yet mongoose is not tracking changes.
  *
  * @param schema mongoose  schema
+ * @param {Object} [options] plugin options, applying the plugin more than once (globally and per schema) attaches it once
  *
  * @example
  * const deversion = require("mongoose-lean-extension/plugins/deversion");
@@ -16,26 +17,9 @@
  * @link ssekandiraymond01@gmail.com
  */
 
-module.exports = function deversion(schema) {
-    /** Mongo .find() or .findOne() query */
-    schema.post(["find", "findOne"], function (result, next) {
-        // Getting all query options to check for lean option
-        const options = this?._mongooseOptions ?? this?.getOptions();
+const { attachLeanPipeline } = require("../util/pipeline");
 
-        // If lean option is not on the query just proceed
-        // Similarly, if no document has been found (null for .findOne()), proceed
-        if (!options?.lean || !result) return next();
-
-        // .find() query results are always arrays but not .findOne()
-        // Next line turns .findOne() query results to an array
-        if (!Array.isArray(result)) result = [result];
-
-        // Looping through results array to delete __v field if it exists
-        result.forEach((record) => {
-            if (Number.isInteger(record?.__v)) delete record.__v;
-        });
-
-        // Obvious, isn't it?
-        next();
-    });
+module.exports = function deversion(schema, options) {
+    /** Mongo .find(), .findOne(), .findOneAnd*() queries and insertMany({ lean: true }) */
+    attachLeanPipeline(schema, { plugin: deversion, options, steps: ["showVersion"] });
 };
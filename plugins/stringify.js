@@ -1,6 +1,7 @@
 /** Turns the the _id field type in the document(s) from mongo's ObjectId to hex string
  *
  * @param schema mongoose  schema
+ * @param {Object} [options] default lean options of the schema (or of every schema with mongoose.plugin)
  *
  * @example
  * const stringify_id = require("mongoose-lean-extension/plugins/stringify");
@@ -15,31 +16,9 @@
  * @link ssekandiraymond01@gmail.com
  */
 
-const mongoose = require("mongoose");
+const { attachLeanPipeline } = require("../util/pipeline");
 
-module.exports = function stringify_id(schema) {
-    /** Mongo .find() or .findOne() query */
-    schema.post(["find", "findOne"], function (result, next) {
-        // Getting all query options to check for lean option
-        const options = this?._mongooseOptions ?? this?.getOptions();
-
-        // If lean option is not the query just proceed
-        // Similarly, if no document has been found (null for .findOne()), proceed
-        if (!options?.lean || !result) return next();
-
-        // .find() query results are always arrays but not .findOne()
-        // Next line turns .findOne() results to an array
-        if (!Array.isArray(result)) result = [result];
-
-        // Looping through results array to (hex) stringify the _id field from ObjectId
-        result.forEach((record) => {
-            record._id =
-                record?._id && record._id instanceof mongoose.Types.ObjectId
-                    ? record._id.toString()
-                    : record?._id;
-        });
-
-        // Obvious, isn't it?
-        next();
-    });
+module.exports = function stringify_id(schema, options) {
+    /** Mongo .find(), .findOne(), .findOneAnd*(), .distinct("_id") queries and insertMany({ lean: true }) */
+    attachLeanPipeline(schema, { plugin: stringify_id, options, steps: ["stringifyId"] });
 };
@@ -0,0 +1,126 @@
+const { forEachAtPath, compilePaths } = require("./paths");
+
+// Supported targets per BSON type, e.g. convert: { Decimal128: "number", Long: "bigint", UUID: "string", Date: "iso" }
+const CONVERSIONS = {
+    Decimal128: ["number", "string"],
+    Long: ["number", "bigint", "string"],
+    UUID: ["string"],
+    Binary: ["base64", "hex"],
+    Date: ["iso", "epoch"],
+};
+
+// Warnings already emitted, precision loss is reported once per model, type and key rather than once per document
+const warned = new Set();
+
+// Helper that reports a lossy numeric conversion through process warnings
+function warnPrecisionLoss(type, key, value, modelName = "unknown model") {
+    const id = `${modelName}:${type}:${key}`;
+    if (warned.has(id)) return;
+    warned.add(id);
+    process.emitWarning(
+        `${type} ${value} at "${key}" of ${modelName} cannot be represented exactly as a number, consider "string"${type === "Long" ? ' or "bigint"' : ""}`,
+        { code: "MONGOOSE_LEAN_EXTENSION_PRECISION_LOSS" }
+    );
+}
+
+// Helper that counts the significant digits of a decimal string, a double holds 15 of them exactly
+function significantDigits(decimal) {
+    return decimal
+        .replace(/^-/, "")
+        .replace(/e.*$/i, "")
+        .replace(".", "")
+        .replace(/^0+/, "")
+        .replace(/0+$/, "").length;
+}
+
+// Helper that converts a single value according to the convert option, values of other types are returned untouched
+function convertValue(value, convert, key, modelName) {
+    if (value instanceof Date) {
+        if (convert.Date === "iso") return value.toISOString();
+        if (convert.Date === "epoch") return value.getTime();
+        return value;
+    }
+    switch (value?._bsontype) {
+        case "Decimal128": {
+            if (convert.Decimal128 === "string") return value.toString();
+            if (convert.Decimal128 !== "number") return value;
+            const decimal = value.toString();
+            const number = Number(decimal);
+            if (!Number.isFinite(number) || significantDigits(decimal) > 15) {
+                warnPrecisionLoss("Decimal128", key, decimal, modelName);
+            }
+            return number;
+        }
+        case "Long": {
+            if (convert.Long === "string") return value.toString();
+            if (convert.Long === "bigint") return value.toBigInt();
+            if (convert.Long !== "number") return value;
+            const number = value.toNumber();
+            if (!Number.isSafeInteger(number)) warnPrecisionLoss("Long", key, value.toString(), modelName);
+            return number;
+        }
+        case "Binary": {
+            // Subtypes 3 and 4 hold UUIDs, the others are plain binary data
+            // bson only reads subtype 4 as a UUID, legacy subtype 3 bytes are formatted in the order they are stored
+            if (convert.UUID === "string" && value.sub_type === 4) return value.toUUID().toString();
+            if (convert.UUID === "string" && value.sub_type === 3 && value.length() === 16) return uuidString(value.toString("hex"));
+            if (convert.Binary) return value.toString(convert.Binary);
+            return value;
+        }
+        default:
+            return value;
+    }
+}
+
+// Helper that formats 32 hex digits as a UUID, 8-4-4-4-12
+function uuidString(hex) {
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/** Compiles the convert option into a function converting the Decimal128, Long, UUID / Binary and Date values of a lean document, in place
+ *
+ * @param {Object} convert e.g. { Decimal128: "number", Long: "bigint", UUID: "string", Date: "iso", paths: ["price", "items.*.price"] }
+ * Without paths the whole document is converted, with paths only the values (or arrays of values) found at them.
+ * @param {string} [modelName] used in precision loss warnings
+ * @returns {Function} (doc) => void
+ * @throws {TypeError} on unsupported conversion targets, e.g. { Date: "unix" }
+ */
+function compileConvert(convert, modelName) {
+    for (const [type, target] of Object.entries(convert)) {
+        if (type === "paths") continue;
+        if (!CONVERSIONS[type]?.includes(target)) {
+            throw new TypeError(
+                `mongoose-lean-extension: cannot convert ${type} to ${JSON.stringify(target)}, expected one of ${
+                    CONVERSIONS[type] ? CONVERSIONS[type].join(", ") : Object.keys(CONVERSIONS).join(", ")
+                }`
+            );
+        }
+    }
+
+    const convertAt = (parent, key) => {
+        const value = parent[key];
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => (value[index] = convertValue(item, convert, key, modelName)));
+        } else {
+            parent[key] = convertValue(value, convert, key, modelName);
+        }
+    };
+
+    // "**" reaches every value of the document, arrays and nested objects included
+    if (!Array.isArray(convert.paths)) return (doc) => forEachAtPath(doc, "**", convertAt);
+    const accessor = compilePaths(convert.paths);
+    return (doc) => accessor(doc, convertAt);
+}
+
+/** Converts Decimal128, Long, UUID / Binary and Date values of a lean document, in place
+ *
+ * @param {Object} doc lean document
+ * @param {Object} convert see compileConvert()
+ * @param {string} [modelName] used in precision loss warnings
+ * @throws {TypeError} on unsupported conversion targets, e.g. { Date: "unix" }
+ */
+module.exports = function applyConvert(doc, convert, modelName) {
+    compileConvert(convert, modelName)(doc);
+};
+
+module.exports.compileConvert = compileConvert;
@@ -0,0 +1,54 @@
+/** toJSON / toObject transforms giving hydrated documents the shape of lean ones, the toJSON and toObject plugin options
+ *
+ * mongooseLeanExtension(schema, { toJSON: true }) sets a toJSON transform on the schema, so that
+ * res.json(await Package.create({...})) sends what Package.findById(id).lean() resolves to: _id stringified (or renamed),
+ * __v removed, stringifyKeys paths stringified, hidden paths removed, fields pruned and keys renamed as the lean options of the model say.
+ *
+ * - true applies the model's default lean options, an object applies lean options of its own over them, as .lean({...}) does
+ * - the steps that shape the lean results of a query (schemaValues, populated, flatten, format) are left out,
+ *   virtuals and getters follow mongoose's own toJSON / toObject options
+ * - a transform the schema already has runs afterwards, on the transformed object
+ * - subdocuments are transformed with their document, populated documents by their own model
+ */
+
+const { runLeanPipeline } = require("./pipeline");
+
+// Methods whose transform the plugin can set, named as the schema options
+const DOCUMENT_METHODS = ["toJSON", "toObject"];
+
+// Steps of the pipeline a hydrated document goes through
+const DOCUMENT_STEPS = ["hidden", "prune", "stringifyKeys", "convert", "showVersion", "renameKeys", "keyCase", "stringifyId", "rename"];
+
+/** Sets the toJSON and toObject transforms the plugin options ask for
+ *
+ * @param schema mongoose schema
+ * @param {Object} settings { toJSON, toObject }, true or lean options for each method, the others are left as they are
+ * @param {Function} leanOptionsOf (lean) => the resolved lean options, the model's defaults included
+ * @throws {TypeError} on a setting that is neither a boolean nor lean options
+ */
+function attachDocumentTransforms(schema, settings, leanOptionsOf) {
+    for (const method of DOCUMENT_METHODS) {
+        const setting = settings[method];
+        if (setting === undefined || setting === false) continue;
+        if (setting !== true && (!setting || typeof setting !== "object" || Array.isArray(setting))) {
+            throw new TypeError(`mongoose-lean-extension: ${method} must be true or lean options, got ${JSON.stringify(setting)}`);
+        }
+
+        const schemaOptions = schema.get(method) ?? {};
+        // The plugin may be applied more than once (schema and global), its transform is set once
+        if (schemaOptions.transform?.leanExtension) continue;
+        const previous = schemaOptions.transform;
+
+        const transform = function (doc, ret, options) {
+            // Subdocuments are part of their document's lean shape, the document transforms them
+            if (!doc.$isSubdocument) runLeanPipeline([ret], leanOptionsOf(setting), { model: doc.constructor, single: true }, DOCUMENT_STEPS);
+            if (typeof previous !== "function") return ret;
+            const result = previous(doc, ret, options);
+            return result === undefined ? ret : result;
+        };
+        transform.leanExtension = true;
+        schema.set(method, { ...schemaOptions, transform });
+    }
+}
+
+module.exports = { attachDocumentTransforms, DOCUMENT_METHODS };
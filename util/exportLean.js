@@ -0,0 +1,83 @@
+/** Model.exportLean(filter, options), lean query results streamed as CSV or NDJSON rows
+ *
+ * The rows are the lean documents of the query, with the model's default options (stringifyId, rename, showVersion...) and
+ * flattened to dot-notation columns unless the lean options say otherwise. They are read through a cursor, one at a time.
+ *
+ * @example
+ * await pipeline(Package.exportLean({ private: false }, { format: "csv", columns: ["id", "name", "owner.name"] }), res);
+ */
+
+const { Readable } = require("stream");
+
+// Formats of the rows
+const EXPORT_FORMATS = ["csv", "ndjson"];
+
+// Helper that writes a value as a CSV cell (RFC 4180), quoted when it holds a comma, a quote or a line break
+function csvCell(value) {
+    if (value == null) return "";
+    let cell;
+    if (value instanceof Date) cell = value.toISOString();
+    else if (typeof value === "object") cell = JSON.stringify(value);
+    else cell = String(value);
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+// Helper that keeps the columns of a row, in the order of the columns
+function pick(row, columns) {
+    const picked = {};
+    for (const column of columns) if (column in row) picked[column] = row[column];
+    return picked;
+}
+
+// Yields the rows of a query's cursor as lines of the given format
+async function* exportRows(cursor, format, columns) {
+    for await (const row of cursor) {
+        if (format === "ndjson") {
+            yield `${JSON.stringify(columns ? pick(row, columns) : row)}\n`;
+            continue;
+        }
+        // Without columns, the keys of the first row are the CSV header
+        if (!columns) {
+            columns = Object.keys(row);
+            yield `${columns.map(csvCell).join(",")}\r\n`;
+        }
+        yield `${columns.map((column) => csvCell(row[column])).join(",")}\r\n`;
+    }
+}
+
+/** Streams the lean results of a query as CSV or NDJSON
+ *
+ * @this Model
+ * @param {Object} [filter] the query filter, as find() takes it
+ * @param {Object} [options] { format, columns, lean, sort, limit }
+ * format is "csv" (the default) or "ndjson"
+ * columns lists the (flattened) keys of the rows to export, in order, the keys of the first row by default
+ * lean holds the lean options of the query, e.g. { rename: "id", flatten: { arrays: "index" } }, flatten: true by default
+ * sort and limit are applied to the query
+ * @returns {Readable} a stream of text, rows being lines
+ * @throws {TypeError} on an unsupported format or columns that are not an array of keys
+ */
+function exportLean(filter = {}, { format = "csv", columns, lean = {}, sort, limit } = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new TypeError(`mongoose-lean-extension: exportLean format must be one of ${EXPORT_FORMATS.join(", ")}, got ${JSON.stringify(format)}`);
+    }
+    if (columns !== undefined && (!Array.isArray(columns) || columns.some((column) => typeof column !== "string"))) {
+        throw new TypeError(`mongoose-lean-extension: exportLean columns must be an array of keys, got ${JSON.stringify(columns)}`);
+    }
+
+    const query = this.find(filter).lean({ flatten: true, ...lean });
+    if (sort !== undefined) query.sort(sort);
+    if (limit !== undefined) query.limit(limit);
+    // With columns, the CSV header comes first, even without any row
+    const header = format === "csv" && columns ? [`${columns.map(csvCell).join(",")}\r\n`] : [];
+
+    return Readable.from(
+        (async function* rows() {
+            yield* header;
+            yield* exportRows(query.cursor(), format, columns);
+        })(),
+        { objectMode: false }
+    );
+}
+
+module.exports = exportLean;
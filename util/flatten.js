@@ -0,0 +1,78 @@
+/** Flattening of lean documents into dot-notation columns, the flatten option
+ *
+ * { owner: { name: "Doug" }, tags: ["web", "http"] } becomes:
+ *
+ * - { "owner.name": "Doug", "tags.0": "web", "tags.1": "http" } with arrays: "index"
+ * - { "owner.name": "Doug", tags: "web, http" } with arrays: "join", arrays of subdocuments joining each of their columns
+ *
+ * ObjectIds become hex strings, other values (Dates, Decimal128...) are kept as they are. Empty objects and arrays have no column.
+ */
+
+const mongoose = require("mongoose");
+const { isPlainObject } = require("./paths");
+
+// Ways arrays are flattened
+const ARRAY_MODES = ["join", "index"];
+
+// Helper that turns a value into the value of a column
+function leafValue(value) {
+    return value instanceof mongoose.Types.ObjectId ? value.toString() : value;
+}
+
+/** Resolves the flatten option
+ *
+ * @param {boolean|Object} flatten true or { arrays: "join" | "index", separator: ", " }
+ * @returns {{ arrays: string, separator: string }|null} null when documents are not flattened
+ * @throws {TypeError} on an unsupported arrays mode or a separator that is not a string
+ */
+function flattenOptions(flatten) {
+    if (!flatten) return null;
+    const { arrays = "join", separator = ", " } = flatten === true ? {} : flatten;
+    if (!ARRAY_MODES.includes(arrays)) {
+        throw new TypeError(`mongoose-lean-extension: flatten arrays must be one of ${ARRAY_MODES.join(", ")}, got ${JSON.stringify(arrays)}`);
+    }
+    if (typeof separator !== "string") {
+        throw new TypeError(`mongoose-lean-extension: flatten separator must be a string, got ${JSON.stringify(separator)}`);
+    }
+    return { arrays, separator };
+}
+
+// Helper that adds the columns of a value to a flat object, under the given prefix
+function flattenInto(flat, prefix, value, options) {
+    if (Array.isArray(value)) {
+        if (options.arrays === "index") {
+            value.forEach((item, index) => flattenInto(flat, `${prefix}.${index}`, item, options));
+            return;
+        }
+        // Items are flattened on their own, then each column joins the values of the items that have it
+        const columns = {};
+        for (const item of value) {
+            const itemColumns = {};
+            flattenInto(itemColumns, prefix, item, options);
+            for (const [key, itemValue] of Object.entries(itemColumns)) (columns[key] ??= []).push(itemValue);
+        }
+        for (const [key, values] of Object.entries(columns)) {
+            flat[key] = values.map((itemValue) => (itemValue == null ? "" : String(itemValue))).join(options.separator);
+        }
+        return;
+    }
+    if (isPlainObject(value)) {
+        for (const [key, nested] of Object.entries(value)) flattenInto(flat, prefix ? `${prefix}.${key}` : key, nested, options);
+        return;
+    }
+    flat[prefix] = leafValue(value);
+}
+
+/** Flattens a lean document, in place
+ *
+ * @param {Object} doc lean document
+ * @param {Object} options resolved by flattenOptions()
+ */
+function flattenDocument(doc, options) {
+    const flat = {};
+    flattenInto(flat, "", doc, options);
+    for (const key of Object.keys(doc)) delete doc[key];
+    Object.assign(doc, flat);
+}
+
+module.exports = { flattenOptions, flattenDocument };
@@ -0,0 +1,111 @@
+/** Model.fromLean(obj, leanOptions) and Model.hydrateFromLean(obj, leanOptions), the lean transforms undone
+ *
+ * An object shaped by the lean options (e.g. sent back by a client) is turned back into the shape MongoDB stores:
+ *
+ * - the rename key goes back to _id
+ * - strings at _id and at the stringifyKeys paths ("auto" standing for every ObjectId path) become ObjectIds again
+ * - the version key, if the object has it (showVersion), is kept as a number, for optimistic concurrency
+ *
+ * Options that drop or reshape information (hidden paths, keyCase, renameKeys, convert, flatten, format, populated documents)
+ * are not undone.
+ */
+
+const mongoose = require("mongoose");
+const objectIdPaths = require("./schemaPaths");
+const { compilePaths } = require("./paths");
+const { copyResult } = require("./leanCache");
+
+// Helper that casts a string (or every string of an array of them) into an ObjectId
+function objectIdValue(value, path) {
+    if (Array.isArray(value)) return value.map((item) => objectIdValue(item, path));
+    if (typeof value !== "string") return value;
+    if (!mongoose.isObjectIdOrHexString(value)) {
+        throw new TypeError(`mongoose-lean-extension: "${value}" at "${path}" is not an ObjectId`);
+    }
+    return new mongoose.Types.ObjectId(value);
+}
+
+// Helper that tells the schema path of a stringifyKeys path, array indexes and wildcards left out, null for "**" paths
+function schemaPathOf(path) {
+    if (path.includes("**")) return null;
+    return path
+        .split(".")
+        .filter((key) => !/^\d+$/.test(key) && key !== "*")
+        .join(".");
+}
+
+// Helper that checks the stringifyKeys paths against the ObjectId paths of the schema
+function checkPaths(schema, paths, modelName) {
+    const known = objectIdPaths(schema);
+    for (const path of paths) {
+        const schemaPath = schemaPathOf(path);
+        if (schemaPath !== null && !known.includes(schemaPath)) {
+            throw new TypeError(`mongoose-lean-extension: stringifyKeys path "${path}" is not an ObjectId path of the schema (${modelName})`);
+        }
+    }
+}
+
+/** Turns an object shaped by lean options back into the shape MongoDB stores, leaving the object as it is
+ *
+ * @param model mongoose model
+ * @param {Object} obj e.g. { id: "683a...", owner: "683b...", name: "express" }
+ * @param {Object} leanOptions the resolved lean options the object was shaped with
+ * @returns {Object} e.g. { _id: ObjectId("683a..."), owner: ObjectId("683b..."), name: "express" }
+ * @throws {TypeError} on stringifyKeys paths that are not ObjectId paths of the schema, or strings there that are not ObjectIds
+ */
+function fromLean(model, obj, leanOptions) {
+    if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+        throw new TypeError(`mongoose-lean-extension: fromLean expects an object, got ${JSON.stringify(obj)}`);
+    }
+    const schema = model.schema;
+    const doc = copyResult(obj);
+
+    // rename, the key goes back to _id
+    const { rename } = leanOptions;
+    if (rename && rename !== "_id" && rename in doc) {
+        const { [rename]: id, ...rest } = doc;
+        for (const key of Object.keys(doc)) delete doc[key];
+        Object.assign(doc, { _id: id }, rest);
+    }
+
+    // stringifyId and rename, _id is an ObjectId again where the schema says so
+    if (typeof doc._id === "string" && schema.path("_id")?.instance === "ObjectId") doc._id = objectIdValue(doc._id, "_id");
+
+    // stringifyKeys, the paths are checked against the schema before anything is cast
+    const stringifyKeys = leanOptions.stringifyKeys === "auto" ? objectIdPaths(schema) : leanOptions.stringifyKeys ?? [];
+    if (Array.isArray(stringifyKeys) && stringifyKeys.length > 0) {
+        checkPaths(schema, stringifyKeys, model.modelName);
+        compilePaths(stringifyKeys)(doc, (parent, key) => {
+            parent[key] = objectIdValue(parent[key], key);
+        });
+    }
+
+    // showVersion, a version key sent back is a number
+    const versionKey = schema.options.versionKey;
+    if (versionKey && typeof doc[versionKey] === "string" && /^\d+$/.test(doc[versionKey])) doc[versionKey] = Number(doc[versionKey]);
+
+    return doc;
+}
+
+/** Hydrates a document out of an object shaped by lean options, its paths marked as modified so that save() writes them
+ *
+ * With the version key in the object and the optimisticConcurrency schema option, save() fails with a VersionError
+ * when the document changed since the object was read.
+ *
+ * @param model mongoose model
+ * @param {Object} obj see fromLean()
+ * @param {Object} leanOptions see fromLean()
+ * @returns {Document}
+ */
+function hydrateFromLean(model, obj, leanOptions) {
+    const raw = fromLean(model, obj, leanOptions);
+    const doc = model.hydrate(raw);
+    const versionKey = model.schema.options.versionKey;
+    for (const key of Object.keys(raw)) {
+        if (key === "_id" || key === versionKey || model.schema.pathType(key) === "adhocOrUndefined") continue;
+        doc.markModified(key);
+    }
+    return doc;
+}
+
+module.exports = { fromLean, hydrateFromLean };
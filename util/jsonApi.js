@@ -0,0 +1,115 @@
+/** JSON:API resource objects out of lean documents, the format: "jsonapi" option
+ *
+ * A document becomes { id, type, attributes, relationships }:
+ *
+ * - id is its stringified _id (or the key rename gave it)
+ * - type is the type option, the collection name of its model otherwise
+ * - relationships holds the top-level ref paths (and populate virtuals) as resource identifiers, { type, id }
+ * - attributes holds everything else
+ *
+ * Populated documents become resources of their own, collected into the included resources of the result.
+ */
+
+const mongoose = require("mongoose");
+const { refPaths } = require("./schemaPaths");
+
+// Helper that tells the resource type of a model, its collection name (e.g. "packages" for the Package model)
+function typeOf(model) {
+    return model?.collection?.collectionName;
+}
+
+// Helper that resolves the model a ref names, refs may be model names, models or functions returning either
+function refModel(model, ref) {
+    try {
+        const resolved = typeof ref === "function" && !(ref.schema instanceof mongoose.Schema) ? ref() : ref;
+        if (typeof resolved === "string") return model.db.model(resolved);
+        return resolved?.schema instanceof mongoose.Schema ? resolved : null;
+    } catch (error) {
+        // Unregistered model names, the relationship is left in the attributes
+        return null;
+    }
+}
+
+// Helper that reads the id of an ObjectId, a stringified one or a populated document
+function idOf(value, idKey) {
+    if (value instanceof mongoose.Types.ObjectId || typeof value === "string") return String(value);
+    const id = value?._id ?? value?.[idKey];
+    return id == null ? undefined : String(id);
+}
+
+/** Prepares the conversion of a query's documents into resources
+ *
+ * @param {Object} leanOptions { type?, rename?, showVersion?, renameKeys?, keyCase? }
+ * @param {Object} context { model, shared? }, the document types of a query (discriminators) share the included resources through shared
+ * @param {Function} keyOf (path) => the key a schema path has in the transformed documents, e.g. "created_at" with keyCase: "snake"
+ * @returns {{ toResource: Function, included: Function }}
+ * toResource(doc) turns a document into a resource in place, included() lists the resources of the populated documents met so far
+ * @throws {TypeError} when the type of the resources cannot be told
+ */
+function prepareResources(leanOptions, context, keyOf) {
+    const type = leanOptions.type ?? typeOf(context.model);
+    if (typeof type !== "string" || type.length === 0) {
+        throw new TypeError("mongoose-lean-extension: format: \"jsonapi\" needs a type, e.g. lean({ format: \"jsonapi\", type: \"packages\" })");
+    }
+    const idKey = leanOptions.rename ?? "_id";
+    const included = context.shared ? (context.shared.included ??= new Map()) : new Map();
+
+    // Helper that builds the relationships of a document of the given model, moving its populated documents to the included resources
+    function relationshipsOf(doc, model) {
+        const relationships = {};
+        for (const { path, ref, refPath } of refPaths(model?.schema)) {
+            const key = keyOf(path);
+            if (!(key in doc)) continue;
+            const related = refModel(model, refPath ? doc[keyOf(refPath)] : ref);
+            if (!related) continue;
+
+            const identifier = (value) => {
+                const id = idOf(value, idKey);
+                if (id === undefined) return null;
+                if (value && typeof value === "object" && !(value instanceof mongoose.Types.ObjectId)) include(value, related, id);
+                return { type: typeOf(related), id };
+            };
+            const value = doc[key];
+            relationships[key] = { data: Array.isArray(value) ? value.map(identifier).filter(Boolean) : value == null ? null : identifier(value) };
+        }
+        return relationships;
+    }
+
+    // Helper that adds a populated document to the included resources, once per type and id
+    function include(doc, model, id) {
+        const resourceKey = `${typeOf(model)}:${id}`;
+        if (included.has(resourceKey)) return;
+        // Claimed before its own relationships are read, documents may reference each other
+        included.set(resourceKey, null);
+        included.set(resourceKey, resourceOf(doc, model, typeOf(model), id, false));
+    }
+
+    // Helper that builds a resource out of a document, leaving the document as it is
+    function resourceOf(doc, model, resourceType, id, root) {
+        const relationships = relationshipsOf(doc, model);
+        // The root documents went through showVersion already, populated ones follow it here
+        const versionKey = root || leanOptions.showVersion ? null : keyOf(model?.schema?.options?.versionKey || "__v");
+        const attributes = {};
+        for (const [key, value] of Object.entries(doc)) {
+            if (key === "_id" || key === idKey || key === versionKey || key in relationships) continue;
+            attributes[key] = value;
+        }
+        return {
+            id,
+            type: resourceType,
+            attributes,
+            ...(Object.keys(relationships).length > 0 && { relationships }),
+        };
+    }
+
+    return {
+        toResource(doc) {
+            const resource = resourceOf(doc, context.model, type, idOf(doc, idKey), true);
+            for (const key of Object.keys(doc)) delete doc[key];
+            Object.assign(doc, resource);
+        },
+        included: () => [...included.values()],
+    };
+}
+
+module.exports = { prepareResources };
@@ -0,0 +1,207 @@
+/** In-process LRU cache of lean results, the cache: { ttl } option
+ *
+ * find() and findOne() queries with the cache option are answered from the cache while their entry lives, without reaching
+ * MongoDB nor running the transforms again. Entries are keyed by connection, collection, operation, filter, projection,
+ * sort, skip, limit, populate and lean options, and hold the transformed results.
+ *
+ * - writes through the models of a collection (save, updateOne/Many, deleteOne/Many, findOneAnd*, replaceOne, insertMany, bulkWrite)
+ *   invalidate its entries, writes that bypass mongoose (e.g. Model.collection) do not
+ * - results are copied in and out of the cache, callers may mutate them
+ * - cursors are not cached, neither are populate queries and the queries of Model.findLeanPage()
+ */
+
+const mongoose = require("mongoose");
+const { isPlainObject } = require("./paths");
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Entries the cache holds at most, the least recently used ones are evicted first
+const MAX_ENTRIES = 1000;
+
+// Operations whose results are cached
+const CACHED_OPS = ["find", "findOne"];
+
+// Query operations that write, their post hooks invalidate the entries of the collection
+const WRITE_QUERY_OPS = [
+    "updateOne",
+    "updateMany",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndUpdate",
+    "findOneAndDelete",
+    "findOneAndReplace",
+    "replaceOne",
+];
+
+// Entries in the order they were last used, the first one is the least recently used
+const entries = new Map();
+
+// Generation per collection, invalidating a collection moves it to the next one and its older entries are never read again
+const generations = new Map();
+
+// Keys of the queries that may be cached, computed once their filter, projection and options are final
+const queryKeys = new WeakMap();
+
+// Results served from the cache, the lean hooks leave them as they are, they were transformed before they were stored
+const cachedResults = new WeakSet();
+
+// Schemas with the cache, { leanOptionsOf, stores } where stores counts the store hooks attached to the schema, the last one stores
+const cachedSchemas = new WeakMap();
+
+// Helper that copies a result, plain objects, arrays, Dates and Buffers are copied, other values (e.g. ObjectIds) are kept
+function copyResult(value) {
+    if (Array.isArray(value)) return value.map(copyResult);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    if (!isPlainObject(value)) return value;
+    const copy = {};
+    for (const key of Object.keys(value)) copy[key] = copyResult(value[key]);
+    return copy;
+}
+
+// Helper that names the collection of a model, per connection, discriminators share their base model's collection
+function collectionOf(model) {
+    return `${model.db?.id}:${model.collection?.collectionName}`;
+}
+
+// Helper that validates the cache option, a positive ttl in milliseconds
+function ttlOf(cache) {
+    return cache && typeof cache === "object" && Number.isFinite(cache.ttl) && cache.ttl > 0 ? cache.ttl : null;
+}
+
+/** Computes the key of a lean query, if it may be cached
+ *
+ * @param query the mongoose query, its filter, projection and options final
+ * @param {Object} leanOptions the resolved lean options of the query
+ * @returns {string|null} null when the query is not cached
+ */
+function cacheKey(query, leanOptions) {
+    if (!CACHED_OPS.includes(query.op) || !ttlOf(leanOptions.cache)) return null;
+    const { cache, ...options } = leanOptions;
+    // Functions (e.g. mongoose's lean transform) cannot be told apart once serialized
+    if (Object.values(options).some((value) => typeof value === "function")) return null;
+
+    const collection = collectionOf(query.model);
+    const { sort, skip, limit } = query.options ?? {};
+    const populate = Object.values(query._mongooseOptions?.populate ?? {}).map(({ path, select, match, options: populateOptions }) => ({
+        path,
+        select,
+        match,
+        options: populateOptions,
+    }));
+    return `${collection}:${generations.get(collection) ?? 0}:${EJSON.stringify(
+        [query.op, query.getFilter(), query._fields ?? null, sort ?? null, skip ?? null, limit ?? null, populate, options],
+        { relaxed: false }
+    )}`;
+}
+
+// Helper that reads a live entry, marking it as the most recently used
+function readEntry(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    entries.delete(key);
+    if (entry.expires <= Date.now()) return undefined;
+    entries.set(key, entry);
+    return entry;
+}
+
+// Helper that stores an entry, evicting the least recently used ones beyond MAX_ENTRIES
+function writeEntry(key, value, ttl) {
+    entries.delete(key);
+    entries.set(key, { value: copyResult(value), expires: Date.now() + ttl });
+    while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+}
+
+/** Drops the entries of a model's collection
+ *
+ * @param model mongoose model
+ */
+function invalidateLeanCache(model) {
+    if (!model?.collection) return;
+    const collection = collectionOf(model);
+    generations.set(collection, (generations.get(collection) ?? 0) + 1);
+}
+
+/** Drops every entry, e.g. between tests */
+function clearLeanCache() {
+    entries.clear();
+}
+
+/** Tells whether a query result was served from the cache
+ *
+ * @param {*} result
+ * @returns {boolean}
+ */
+function isCachedResult(result) {
+    return Boolean(result) && typeof result === "object" && cachedResults.has(result);
+}
+
+/** Attaches the cache to a schema: lookups before find and findOne, stores after their lean hooks and invalidation on writes
+ *
+ * To be attached after the lean hooks, the results are stored once every transform ran, see attachLeanCacheStore()
+ *
+ * @param schema mongoose schema
+ * @param {Function} leanOptionsOf (lean) => the resolved lean options of a query
+ * @param {Function} skip (options) => true for the queries that are not cached, e.g. populate queries
+ */
+function attachLeanCache(schema, leanOptionsOf, skip) {
+    schema.pre(CACHED_OPS, function (next) {
+        try {
+            const options = this?._mongooseOptions;
+            // Cursors cannot be answered with a value, exec() is the only caller that marks its query this way
+            if (!options?.lean || skip(options) || !this._executionStack) return next();
+
+            const key = cacheKey(this, leanOptionsOf(options.lean));
+            if (key === null) return next();
+            queryKeys.set(this, key);
+
+            const entry = readEntry(key);
+            if (!entry) return next();
+            const result = copyResult(entry.value);
+            if (result && typeof result === "object") cachedResults.add(result);
+            next(mongoose.skipMiddlewareFunction(result));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    cachedSchemas.set(schema, { leanOptionsOf, stores: 0 });
+    attachLeanCacheStore(schema);
+
+    // Writes invalidate the entries of the collection, once they reached MongoDB
+    schema.post(WRITE_QUERY_OPS, { document: false, query: true }, function (result, next) {
+        invalidateLeanCache(this.model);
+        next();
+    });
+    schema.post(["save", "deleteOne", "updateOne"], { document: true, query: false }, function (doc, next) {
+        invalidateLeanCache(this.constructor);
+        next();
+    });
+    schema.post(["insertMany", "bulkWrite"], function (result, next) {
+        invalidateLeanCache(this);
+        next();
+    });
+}
+
+/** Stores the results of a schema's cached queries, once the post hooks attached so far ran
+ *
+ * The plugins attaching their lean hooks after the cache (e.g. plugins/otherStrings along with the main plugin) attach a store
+ * hook after theirs, only the last one stores: hits skip every lean hook, the entry holds what all of them made of the results
+ *
+ * @param schema mongoose schema, schemas without the cache are left alone
+ */
+function attachLeanCacheStore(schema) {
+    const cached = cachedSchemas.get(schema);
+    if (!cached) return;
+    const store = ++cached.stores;
+
+    schema.post(CACHED_OPS, function (result, next) {
+        const key = queryKeys.get(this);
+        if (store !== cached.stores || key === undefined || isCachedResult(result)) return next();
+        queryKeys.delete(this);
+        writeEntry(key, result, ttlOf(cached.leanOptionsOf(this._mongooseOptions.lean).cache));
+        next();
+    });
+}
+
+module.exports = { attachLeanCache, attachLeanCacheStore, isCachedResult, invalidateLeanCache, clearLeanCache, ttlOf, copyResult };
@@ -0,0 +1,308 @@
+const mongoose = require("mongoose");
+const { registerPluginOptions, resolveLeanOptions } = require("./leanOptions");
+const { resolveLeanView } = require("./leanViews");
+const { PAGE_QUERY, applyLeanPage, recordLeanPage } = require("./leanPage");
+const { attachLeanCache, attachLeanCacheStore, isCachedResult } = require("./leanCache");
+
+// Query operations whose results are documents and therefore honour .lean()
+// findByIdAndUpdate, findByIdAndDelete... are routed through their findOneAnd* counterparts by mongoose
+const LEAN_QUERY_OPS = ["find", "findOne", "findOneAndUpdate", "findOneAndDelete", "findOneAndReplace"];
+
+// post('insertMany') middleware does not receive the insertMany options, so the lean option is remembered per document
+// With { lean: true } mongoose returns the very same objects that were passed in, which makes them usable as keys
+const insertManyLeanOptions = new WeakMap();
+
+// Marks the lean options handed down to populate queries
+// mongoose runs those queries (and so their post hooks) before it matches the populated documents to their parents by _id
+// A plain key rather than a Symbol, mongoose clones query options and only keeps string keys
+const POPULATE_QUERY = "_leanExtensionPopulate";
+
+// Helper that normalizes a query result into an array of documents
+// .findOne() and .findOneAnd*() resolve to a single document or, with includeResultMetadata, to { value, ok, lastErrorObject }
+function toDocuments(result, query) {
+    if (Array.isArray(result)) return result;
+    const options = query?.getOptions?.() ?? query?.options;
+    if (options?.includeResultMetadata || options?.rawResult) return result?.value ? [result.value] : [];
+    return [result];
+}
+
+// Lean transforms of the aggregation cursors, by aggregate, registered by the pre aggregate hooks of each plugin
+const aggregateCursorTransforms = new WeakMap();
+
+// Helper that has an aggregate register the lean transforms of its cursor as the cursor is created
+// mongoose runs the transforms of an aggregation cursor in the order they were registered, each on the result of the previous one.
+// for await registers one wrapping every document in { value, done } as soon as it starts iterating, while the cursor.transform option
+// is only registered once the pre aggregate hooks ran, a tick later. Registered with the cursor, the lean transforms come first
+// and always get the documents themselves
+function transformCursorOf(aggregate) {
+    const cursorOf = aggregate.cursor;
+    aggregate.cursor = function cursor(...args) {
+        // Aggregations that did not opt in are left as they are, the pre aggregate hooks run from within cursorOf()
+        if (!this.options?.leanExtension) return cursorOf.apply(this, args);
+
+        const transforms = [];
+        aggregateCursorTransforms.set(this, transforms);
+        const cursor = cursorOf.apply(this, args);
+        // The last call is null once for await asked the cursor to transform it too
+        cursor.map((doc) => {
+            if (doc) transforms.forEach((transform) => transform(doc));
+            return doc;
+        });
+        return cursor;
+    };
+    return aggregate;
+}
+
+// Helper that turns the ObjectIds in an array of values (e.g. .distinct() results) into hex strings, in place
+function stringifyValues(values) {
+    values.forEach((value, index) => {
+        if (value instanceof mongoose.Types.ObjectId) values[index] = value.toString();
+    });
+}
+
+/** Attaches post middleware to every operation that can return lean results
+ *
+ * @param schema mongoose schema
+ * @param {Function} transform - (docs, leanOptions, { model, populate, populating, projection, aggregate, single }) => *, mutates the lean documents (or aggregation results) in place. docs is always an array
+ * The value it returns, if any, replaces the result of find-like queries (single tells whether the query resolves to a single document)
+ * populating is true for the queries mongoose runs to populate another query's paths, renaming _id there would break population
+ * aggregate is true for aggregation results, whose shape is their pipeline's rather than the schema's
+ * @param {Function} [transformDistinct] - (values, path, leanOptions, { model }) => void, mutates .distinct() values in place
+ * @param {Object} [plugin] - { plugin, options, translate }, the plugin being applied and its options, the defaults of every lean query on the schema
+ * The middleware is attached once per schema and plugin, a plugin applied both globally and per schema only merges its options
+ * translate - (query, leanOptions, { model }) => void, may rewrite the filter, sort or projection of a lean query before it runs
+ * validate - (leanOptions, { model, aggregate }) => void, reports invalid options before the operation runs, throwing to reject it
+ * cache - true to answer find and findOne queries with the cache option from the cache, see ./leanCache.js
+ */
+module.exports = function attachLeanHooks(schema, transform, transformDistinct, { plugin, options: pluginOptions, translate, validate, cache } = {}) {
+    if (plugin && !registerPluginOptions(schema, plugin, pluginOptions)) return;
+
+    // Model.aggregate() of the schema's models hands out aggregates registering the lean transforms with their cursors,
+    // once per schema whatever the number of plugins, the aggregates of other models are left alone
+    if (!schema.statics.aggregate?.leanExtension) {
+        const aggregate = schema.statics.aggregate ?? mongoose.Model.aggregate;
+        schema.static("aggregate", function (...args) {
+            return transformCursorOf(aggregate.apply(this, args));
+        });
+        schema.statics.aggregate.leanExtension = true;
+    }
+
+    // Helper that completes the lean options of a query with the schema and plugin defaults
+    const leanOptionsOf = (lean) => resolveLeanOptions(schema, plugin, lean);
+
+    // Options are validated before anything runs, strict mode rejects a findOneAndDelete before the document is deleted
+    // Populate queries are left alone, their options are the parent query's
+    if (validate) {
+        schema.pre(LEAN_QUERY_OPS.concat("distinct"), function (next) {
+            try {
+                const options = this?._mongooseOptions;
+                if (!options?.lean || options.lean[POPULATE_QUERY] === true) return next();
+
+                validate(leanOptionsOf(options.lean), { model: this.model });
+                next();
+            } catch (error) {
+                next(error);
+            }
+        });
+        schema.pre("aggregate", function (next) {
+            try {
+                const leanOptions = leanOptionsOf(this?.options?.leanExtension);
+                if (leanOptions) validate(leanOptions, { model: this._model, aggregate: true });
+                next();
+            } catch (error) {
+                next(error);
+            }
+        });
+        schema.pre("insertMany", function (next, docs, options) {
+            try {
+                if (options?.lean) validate(leanOptionsOf(options.lean), { model: this });
+                next();
+            } catch (error) {
+                next(error);
+            }
+        });
+    }
+
+    // Lean views select their paths, the query's own projection (if any) is combined with the view's
+    // and pages get their sort and the filter of the documents after their cursor
+    schema.pre(LEAN_QUERY_OPS, function (next) {
+        try {
+            const options = this?._mongooseOptions;
+            if (!options?.lean || options.lean[POPULATE_QUERY] === true) return next();
+
+            const leanOptions = leanOptionsOf(options.lean);
+            if (leanOptions.view !== undefined) {
+                const { select } = resolveLeanView(schema, leanOptions.view);
+                if (select !== undefined) this.select(select);
+            }
+            // Model.findLeanPage() queries are sorted and filtered in the vocabulary of their results, e.g. by the rename key
+            if (options.lean[PAGE_QUERY]) applyLeanPage(this, options.lean[PAGE_QUERY], leanOptions);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Lean options trickle down to populate queries, mark them so that their results are known to be populated documents
+    // The options of a view go down in its place, the populated models do not declare the parent's views
+    schema.pre(LEAN_QUERY_OPS, function (next) {
+        try {
+            const options = this?._mongooseOptions;
+            if (options?.lean && options.populate) {
+                const { view, [PAGE_QUERY]: page, ...own } = typeof options.lean === "object" ? options.lean : {};
+                const lean = view === undefined || own[POPULATE_QUERY] ? own : { ...resolveLeanView(schema, view).options, ...own };
+                for (const populateOptions of Object.values(options.populate)) {
+                    // Paths with their own lean option (or already marked by another plugin) are left alone
+                    if (!populateOptions || populateOptions.options?.lean != null) continue;
+                    populateOptions.options = { ...populateOptions.options, lean: { ...lean, [POPULATE_QUERY]: true } };
+                }
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Lean queries (populate queries aside, mongoose writes those) in the vocabulary of the lean results
+    if (translate) {
+        schema.pre(LEAN_QUERY_OPS.concat("distinct"), function (next) {
+            try {
+                const options = this?._mongooseOptions;
+                if (!options?.lean || options.lean[POPULATE_QUERY] === true) return next();
+
+                translate(this, leanOptionsOf(options.lean), { model: this.model });
+                next();
+            } catch (error) {
+                next(error);
+            }
+        });
+    }
+
+    // find, findOne, findOneAndUpdate, findOneAndDelete, findOneAndReplace (and their findById* aliases)
+    // Lean query cursors (.cursor(), for await, eachAsync, pipe) run these post hooks once per streamed document, as [doc]
+    schema.post(LEAN_QUERY_OPS, function (result, next) {
+        try {
+            // Retrieve Mongoose query options to check for lean
+            const options = this?._mongooseOptions ?? this?.getOptions?.();
+
+            // If lean is not used or no result was returned (undefined), skip processing
+            // Results served from the cache were transformed before they were stored
+            if (!options?.lean || result === undefined || isCachedResult(result)) return next();
+
+            // A single document query that matched nothing (null) has no document to transform, result formats still wrap it
+            const docs = result === null ? [] : toDocuments(result, this);
+            // Pages keep the sort keys of their last document as stored, for their cursor
+            if (options.lean[PAGE_QUERY]) recordLeanPage(options.lean[PAGE_QUERY], docs);
+            const replacement = transform(docs, leanOptionsOf(options.lean), {
+                model: this.model,
+                populate: options.populate,
+                populating: options.lean[POPULATE_QUERY] === true,
+                projection: this._fields,
+                single: !Array.isArray(result),
+            });
+            // The query resolves to what the transform returned, e.g. a JSON:API document, unless it resolves to its metadata
+            // Cursors keep streaming the documents, transformed in place
+            if (replacement !== undefined && (Array.isArray(result) || result === null || docs[0] === result)) {
+                return next(mongoose.overwriteMiddlewareResult(replacement));
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // The cache stores the results once the post hook above transformed them
+    // Populate queries are cached along with their parent query, pages need the keys of their documents as stored
+    // The post hooks of the plugins applied after the main plugin transform them too, the cache then stores them after these
+    if (cache) {
+        attachLeanCache(schema, leanOptionsOf, (options) => options.lean[POPULATE_QUERY] === true || Boolean(options.lean[PAGE_QUERY]));
+    } else {
+        attachLeanCacheStore(schema);
+    }
+
+    // .distinct() resolves to the values of a single path rather than documents
+    if (transformDistinct) {
+        schema.post("distinct", function (values, next) {
+            try {
+                const options = this?._mongooseOptions ?? this?.getOptions?.();
+                if (!options?.lean || !Array.isArray(values)) return next();
+
+                transformDistinct(values, this._distinct, leanOptionsOf(options.lean), { model: this.model });
+                next();
+            } catch (error) {
+                next(error);
+            }
+        });
+    }
+
+    // Model.aggregate() results are always plain objects, the options come from .option({ leanExtension: {...} })
+    schema.post("aggregate", function (result, next) {
+        try {
+            const leanOptions = leanOptionsOf(this?.options?.leanExtension);
+
+            // Aggregations that did not opt in are left as they are, e.g. $count or $group reports
+            if (!leanOptions || !Array.isArray(result)) return next();
+
+            transform(result, leanOptions, { model: this._model, aggregate: true });
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Model.aggregate().cursor() skips the post aggregate hooks, the documents are transformed one at a time by the cursor instead
+    // The cursor.transform option (the caller's own) runs afterwards, on the transformed documents
+    schema.pre("aggregate", function (next) {
+        try {
+            const leanOptions = leanOptionsOf(this?.options?.leanExtension);
+            const cursorOptions = this?.options?.cursor;
+            if (leanOptions && cursorOptions) {
+                const model = this._model;
+                const transformDocument = (doc) => transform([doc], leanOptions, { model, aggregate: true });
+                const cursorTransforms = aggregateCursorTransforms.get(this);
+                if (cursorTransforms) {
+                    cursorTransforms.push(transformDocument);
+                } else {
+                    // Aggregates made without Model.aggregate() (new Aggregate().model()) get the cursor.transform option instead,
+                    // ahead of the caller's own: their documents are transformed by next() and eachAsync(), not by for await
+                    const cursorTransform = cursorOptions.transform;
+                    cursorOptions.transform = function (doc) {
+                        if (doc) transformDocument(doc);
+                        return cursorTransform ? cursorTransform(doc) : doc;
+                    };
+                }
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Model.insertMany(docs, { lean: true }) skips hydration and returns the inserted plain objects
+    schema.pre("insertMany", function (next, docs, options) {
+        if (options?.lean) {
+            for (const doc of [].concat(docs)) {
+                if (doc && typeof doc === "object") insertManyLeanOptions.set(doc, options.lean);
+            }
+        }
+        next();
+    });
+
+    schema.post("insertMany", function (docs, next) {
+        try {
+            // rawResult resolves to the driver's result rather than documents
+            if (!Array.isArray(docs)) return next();
+
+            const leanDocs = docs.filter((doc) => insertManyLeanOptions.has(doc));
+            if (leanDocs.length === 0) return next();
+
+            transform(leanDocs, leanOptionsOf(insertManyLeanOptions.get(leanDocs[0])), { model: this });
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+};
+
+module.exports.LEAN_QUERY_OPS = LEAN_QUERY_OPS;
+module.exports.stringifyValues = stringifyValues;
@@ -0,0 +1,99 @@
+/** Default lean options and how they combine with the options of a query
+ *
+ * Precedence, the first one to set an option wins:
+ *
+ * 1. the query, `.lean({...})` or `.option({ leanExtension: {...} })`
+ * 2. the view the query (or a default option) names, `.lean({ view: "public" })`, see ./leanViews.js
+ * 3. the schema, its `leanExtension` option then the options of `schema.plugin(plugin, {...})`
+ * 4. the global `mongoose.plugin(plugin, {...})` options
+ *
+ * Options are merged key by key (shallowly), e.g. a query's `stringifyKeys` replaces the default list rather than extending it.
+ * `byType` is merged discriminator by discriminator, the options of a discriminator merged the same way.
+ */
+
+const { resolveLeanView } = require("./leanViews");
+
+// Options mongoose itself reads from plugin options, and the plugin's own toJSON / toObject settings, they are not lean options
+const MONGOOSE_PLUGIN_OPTIONS = ["deduplicate", "tags", "toJSON", "toObject"];
+
+// Plugin options per schema and plugin, in the order the plugin was applied to the schema
+// schema.plugin() runs when the schema is declared, global (and connection) plugins only when its model is compiled,
+// so the options of a schema always come before the global ones
+const pluginOptions = new WeakMap();
+
+// The query's own options per resolved options, defaults shared by every schema are not checked against a schema's paths
+const queryOptions = new WeakMap();
+
+// Helper that keeps the lean options of plugin options
+function leanOnly(options) {
+    if (!options || typeof options !== "object") return {};
+    const lean = { ...options };
+    for (const key of MONGOOSE_PLUGIN_OPTIONS) delete lean[key];
+    return lean;
+}
+
+/** Records the options a plugin is applied to a schema with
+ *
+ * @param schema mongoose schema
+ * @param {Function} plugin the plugin function, e.g. mongooseLeanExtension or plugins.rename
+ * @param {Object} [options] the options passed along with the plugin
+ * @returns {boolean} true the first time the plugin is applied to the schema, its middleware is attached only then
+ */
+function registerPluginOptions(schema, plugin, options) {
+    if (!pluginOptions.has(schema)) pluginOptions.set(schema, new Map());
+    const byPlugin = pluginOptions.get(schema);
+
+    const first = !byPlugin.has(plugin);
+    if (first) byPlugin.set(plugin, []);
+    byPlugin.get(plugin).push(leanOnly(options));
+    return first;
+}
+
+// Helper that merges byType maps, discriminator by discriminator, the last map winning
+function mergeByType(layers) {
+    const merged = {};
+    for (const byType of layers) {
+        for (const [name, options] of Object.entries(byType)) merged[name] = { ...merged[name], ...options };
+    }
+    return merged;
+}
+
+/** Combines the lean options of a query with the defaults of the schema and of the plugin
+ *
+ * @param schema mongoose schema
+ * @param {Function} [plugin] the plugin whose defaults apply
+ * @param {boolean|Object} lean the query's lean option, true standing for the defaults
+ * @returns {Object|null} null when the query is not lean
+ * @throws {TypeError} when the query names a view the schema does not declare
+ */
+function resolveLeanOptions(schema, plugin, lean) {
+    if (!lean) return null;
+
+    const defaults = {};
+    // Earlier calls win, so later (global) options are laid down first
+    const calls = pluginOptions.get(schema)?.get(plugin) ?? [];
+    for (let index = calls.length - 1; index >= 0; index--) Object.assign(defaults, calls[index]);
+    Object.assign(defaults, leanOnly(schema?.options?.leanExtension));
+
+    const own = typeof lean === "object" ? lean : {};
+    // A view's options are the query's own as much as the ones it sets inline, e.g. its stringifyKeys are checked against the schema
+    const view = own.view ?? defaults.view;
+    const viewOptions = view === undefined ? {} : resolveLeanView(schema, view).options;
+
+    const resolved = { ...defaults, ...viewOptions, ...own };
+    const layers = [defaults.byType, viewOptions.byType, own.byType].filter((byType) => byType && typeof byType === "object");
+    if (layers.length > 1) resolved.byType = mergeByType(layers);
+    queryOptions.set(resolved, { ...viewOptions, ...own });
+    return resolved;
+}
+
+/** The options a query set itself, out of its resolved lean options
+ *
+ * @param {Object} resolved lean options returned by resolveLeanOptions()
+ * @returns {Object} e.g. { rename: "id" } for .lean({ rename: "id" }), {} for .lean()
+ */
+function ownLeanOptions(resolved) {
+    return queryOptions.get(resolved) ?? resolved;
+}
+
+module.exports = { registerPluginOptions, resolveLeanOptions, ownLeanOptions };
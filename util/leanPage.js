@@ -0,0 +1,205 @@
+/** Model.findLeanPage(filter, options), keyset pagination of lean queries
+ *
+ * A page is { items, nextCursor, hasMore }. The cursor is an opaque token holding the sort keys and _id of the last item
+ * as stored (e.g. ObjectIds and Dates, rather than the stringified or renamed keys of the items), the next page starts after it:
+ *
+ * { downloads: -1 } pages are sorted by { downloads: -1, _id: -1 } and the page after the values d and i of the last item
+ * is filtered by { $or: [{ downloads: { $lt: d } }, { downloads: d, _id: { $lt: i } }] }
+ *
+ * MongoDB sorts null and missing values first, as equal values, and { $gt: null } or { $lt: d } never match them:
+ * ascending pages after a null value go on with the values that are not null, descending ones go on with the null values.
+ *
+ * The query is marked with the page in its lean options, the lean hooks sort and filter it (./leanHooks.js applyLeanPage)
+ * once its lean options are resolved, and record the keys of its documents before they are transformed (recordLeanPage).
+ * A projection (e.g. a view's select) leaving the sort keys out gets them back, they are removed once recorded.
+ */
+
+const mongoose = require("mongoose");
+const { forEachAtPath } = require("./paths");
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Marks the lean options of findLeanPage queries, a plain key as for populate queries
+const PAGE_QUERY = "_leanExtensionPage";
+
+// Sort directions as mongoose takes them
+const DIRECTIONS = { 1: 1, "-1": -1, asc: 1, ascending: 1, desc: -1, descending: -1 };
+
+// Items of a page by default
+const DEFAULT_LIMIT = 20;
+
+// Helper that turns a sort (an object or a string such as "-downloads name") into [path, direction] pairs
+// The rename key of the results stands for _id, the sort is a tie-breaker on _id as well
+function sortFields(sort, rename) {
+    const entries =
+        typeof sort === "string"
+            ? sort
+                  .split(/\s+/)
+                  .filter(Boolean)
+                  .map((key) => (key.startsWith("-") ? [key.slice(1), -1] : [key, 1]))
+            : Object.entries(sort ?? {});
+
+    const fields = entries.map(([path, direction]) => {
+        const resolved = DIRECTIONS[String(direction).toLowerCase()];
+        if (resolved === undefined) {
+            throw new TypeError(`mongoose-lean-extension: findLeanPage sort direction of "${path}" must be 1, -1, "asc" or "desc", got ${JSON.stringify(direction)}`);
+        }
+        return [rename && path === rename ? "_id" : path, resolved];
+    });
+    const idIndex = fields.findIndex(([path]) => path === "_id");
+    if (idIndex === -1) {
+        fields.push(["_id", fields.length > 0 ? fields[fields.length - 1][1] : 1]);
+        return fields;
+    }
+    // _id is unique, the keys sorted after it never break a tie
+    return fields.slice(0, idIndex + 1);
+}
+
+// Helper that reads the value at a dot-path of a lean document
+function valueAt(doc, path) {
+    return path.split(".").reduce((value, key) => value?.[key], doc);
+}
+
+// Helper that tells whether a projection value leaves its path out
+function isExclusion(value) {
+    return value === 0 || value === false;
+}
+
+// Helper that makes a projection return the sort keys, in place, returning the paths it added for them
+// Without them the cursor would hold null keys and the next pages would skip the documents after them
+// mongoose keeps the paths of .select("-path +path") with their prefix until the query runs
+// $slice, $elemMatch and $meta projections neither include nor exclude the other paths
+function selectSortKeys(projection, fields) {
+    const added = [];
+    const inclusive = Object.entries(projection).some(
+        ([path, value]) => path !== "_id" && !/^[-+]/.test(path) && !isExclusion(value) && (value === null || typeof value !== "object")
+    );
+    for (const [path] of fields) {
+        const prefixes = path.split(".").map((key, index, keys) => keys.slice(0, index + 1).join("."));
+        for (const prefix of prefixes) {
+            const excluded = (prefix in projection && isExclusion(projection[prefix])) || `-${prefix}` in projection;
+            if (!excluded) continue;
+            delete projection[prefix];
+            delete projection[`-${prefix}`];
+            added.push(prefix);
+        }
+        if (inclusive && path !== "_id" && !prefixes.some((prefix) => prefix in projection || `+${prefix}` in projection)) {
+            projection[path] = 1;
+            added.push(path);
+        }
+    }
+    return added;
+}
+
+// Helper that encodes the keys of the last item of a page into an opaque cursor
+function encodeCursor(fields, values) {
+    return Buffer.from(EJSON.stringify({ s: fields, v: values })).toString("base64url");
+}
+
+// Helper that decodes a cursor, checking that it was made for the same sort
+function decodeCursor(cursor, fields) {
+    let decoded;
+    try {
+        decoded = EJSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    } catch (error) {
+        throw new TypeError("mongoose-lean-extension: findLeanPage after is not a cursor of a previous page");
+    }
+    if (JSON.stringify(decoded?.s) !== JSON.stringify(fields) || !Array.isArray(decoded.v) || decoded.v.length !== fields.length) {
+        throw new TypeError("mongoose-lean-extension: findLeanPage after is a cursor of another sort");
+    }
+    return decoded.v;
+}
+
+// Helper that builds the condition of the values of a path after the given value, null standing for null and missing values
+// null when no value comes after it (descending, after null)
+function afterValue(path, direction, value) {
+    if (direction === 1) return { [path]: value === null ? { $ne: null } : { $gt: value } };
+    if (value === null) return null;
+    return { $or: [{ [path]: { $lt: value } }, { [path]: null }] };
+}
+
+// Helper that builds the filter of the documents after the given keys, for the given sort
+function afterFilter(fields, values) {
+    const branches = [];
+    fields.forEach(([path, direction], index) => {
+        const after = afterValue(path, direction, values[index]);
+        if (!after) return;
+        // { path: null } matches the missing values as well, they sort as null does
+        const condition = {};
+        for (let previous = 0; previous < index; previous++) condition[fields[previous][0]] = values[previous];
+        branches.push({ ...condition, ...after });
+    });
+    return { $or: branches };
+}
+
+/** Sorts and filters a findLeanPage query, once (every plugin of the schema runs the lean hooks)
+ *
+ * @param query the mongoose query
+ * @param {Object} page the page the query is marked with, { sort, after }
+ * @param {Object} leanOptions the resolved lean options of the query, rename being the key sorts may use for _id
+ * @throws {TypeError} on an unsupported sort direction or a cursor of another sort
+ */
+function applyLeanPage(query, page, leanOptions) {
+    if (page.fields) return;
+    page.fields = sortFields(page.sort, leanOptions.rename);
+    query.sort(Object.fromEntries(page.fields));
+
+    const projection = query.projection();
+    if (projection && typeof projection === "object") {
+        const selected = { ...projection };
+        page.selected = selectSortKeys(selected, page.fields);
+        if (page.selected.length > 0) query.projection(selected);
+    }
+    if (page.after != null) query.and([afterFilter(page.fields, decodeCursor(page.after, page.fields))]);
+}
+
+/** Records the sort keys of a findLeanPage query's documents, before they are transformed
+ *
+ * The keys the query's projection left out and applyLeanPage() selected are removed from the documents once recorded
+ *
+ * @param {Object} page the page the query is marked with
+ * @param {Array<Object>} docs the lean documents
+ */
+function recordLeanPage(page, docs) {
+    if (!page.fields || page.keys) return;
+    page.keys = docs.map((doc) => page.fields.map(([path]) => valueAt(doc, path) ?? null));
+    for (const doc of docs) {
+        for (const path of page.selected ?? []) forEachAtPath(doc, path, (parent, key) => delete parent[key]);
+    }
+}
+
+/** Finds a page of lean documents
+ *
+ * @this Model
+ * @param {Object} [filter] the query filter, as find() takes it
+ * @param {Object} [options] { limit, after, sort, leanOptions }
+ * limit is the number of items of the page, 20 by default
+ * after is the nextCursor of the previous page
+ * sort is an object or a string as .sort() takes it, on indexed fields ({ _id: 1 } by default), the rename key standing for _id
+ * leanOptions are the lean options of the query, the items are transformed as usual
+ * @returns {Promise<{ items: Array<Object>, nextCursor: string|null, hasMore: boolean }>}
+ * @throws {TypeError} on a limit that is not a positive integer or a format option, a page holds documents
+ */
+async function findLeanPage(filter = {}, { limit = DEFAULT_LIMIT, after, sort = { _id: 1 }, leanOptions = {} } = {}) {
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new TypeError(`mongoose-lean-extension: findLeanPage limit must be a positive integer, got ${JSON.stringify(limit)}`);
+    }
+    if (leanOptions.format !== undefined) {
+        throw new TypeError("mongoose-lean-extension: findLeanPage items are documents, the format option does not apply");
+    }
+
+    const page = { sort, after };
+    // One more document than the page holds tells whether there is a next page
+    const items = await this.find(filter)
+        .limit(limit + 1)
+        .lean({ ...leanOptions, [PAGE_QUERY]: page });
+
+    const hasMore = items.length > limit;
+    if (hasMore) items.pop();
+    return { items, nextCursor: hasMore ? encodeCursor(page.fields, page.keys[limit - 1]) : null, hasMore };
+}
+
+module.exports = findLeanPage;
+module.exports.PAGE_QUERY = PAGE_QUERY;
+module.exports.applyLeanPage = applyLeanPage;
+module.exports.recordLeanPage = recordLeanPage;
@@ -0,0 +1,72 @@
+/** Named lean views, the shapes of a model declared once on its schema
+ *
+ * schema.leanView("public", { select, hide, ...leanOptions, extends }) declares a view, .lean({ view: "public" }) uses it:
+ *
+ * - select is the projection the view applies to the query, as .select() takes it
+ * - the other keys are lean options (hide, rename, stringifyKeys, renameKeys...), defaults of the queries using the view
+ * - extends names the view it builds upon, its keys win over the other view's ones (shallowly, as for default options)
+ */
+
+const mongoose = require("mongoose");
+
+// Views per schema, by name
+const views = new WeakMap();
+
+/** Declares a view of a schema
+ *
+ * @param schema mongoose schema
+ * @param {string} name e.g. "public"
+ * @param {Object} definition { select?, extends?, ...leanOptions }
+ * @throws {TypeError} on a missing name, a definition that is not an object or an extends that is not a view name
+ */
+function defineLeanView(schema, name, definition) {
+    if (typeof name !== "string" || name.length === 0) {
+        throw new TypeError("mongoose-lean-extension: a lean view needs a name");
+    }
+    if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+        throw new TypeError(`mongoose-lean-extension: lean view "${name}" needs an object of options`);
+    }
+    if (definition.extends !== undefined && (typeof definition.extends !== "string" || definition.extends.length === 0)) {
+        throw new TypeError(`mongoose-lean-extension: lean view "${name}" extends ${JSON.stringify(definition.extends)}, expected a view name`);
+    }
+
+    if (!views.has(schema)) views.set(schema, new Map());
+    // Declaring a view again replaces it
+    views.get(schema).set(name, { ...definition });
+}
+
+/** Resolves a view of a schema, the views it extends included
+ *
+ * @param schema mongoose schema
+ * @param {string} name
+ * @returns {{ select: *, options: Object }} the view's projection (undefined if it has none) and its lean options
+ * @throws {TypeError} on a view the schema does not declare or views extending each other in a cycle
+ */
+function resolveLeanView(schema, name) {
+    const chain = [];
+    for (let current = name; current !== undefined; current = views.get(schema)?.get(current)?.extends) {
+        if (chain.includes(current)) {
+            throw new TypeError(`mongoose-lean-extension: lean views extend each other in a cycle (${chain.concat(current).join(" -> ")})`);
+        }
+        if (!views.get(schema)?.has(current)) {
+            const from = chain.length > 0 ? `, extended by "${chain[chain.length - 1]}"` : "";
+            throw new TypeError(`mongoose-lean-extension: unknown lean view "${current}"${from}`);
+        }
+        chain.push(current);
+    }
+
+    // The views extended first, each one's keys replaced by the views extending it
+    const merged = {};
+    for (const view of chain.reverse()) Object.assign(merged, views.get(schema).get(view));
+    const { select, ...options } = merged;
+    delete options.extends;
+    return { select, options };
+}
+
+// schema.leanView(name, definition), available on every schema once the package is required
+mongoose.Schema.prototype.leanView = function leanView(name, definition) {
+    defineLeanView(this, name, definition);
+    return this;
+};
+
+module.exports = { defineLeanView, resolveLeanView };
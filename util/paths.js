@@ -0,0 +1,216 @@
+/** Path grammar shared by stringifyKeys and the other path based options
+ *
+ * A path is a list of segments separated by dots:
+ *
+ * - `name`  a key, e.g. `contributors._id`. Arrays met along the way are spread implicitly (every element)
+ * - `0`     an index into an array, e.g. `items.0.ref`. On an object it is an ordinary key
+ * - `*`     every key of an object (e.g. a Map field) or every element of an array, e.g. `items.*.ref`
+ * - `$*`    same as `*`, the syntax mongoose itself uses for Map values, e.g. `prices.$*`
+ * - `**`    any depth, zero or more levels, e.g. `**._id` is every `_id` of the document
+ *
+ * A backslash escapes a dot, a `*` or a backslash that is part of a key, e.g. `meta.version\\.major`.
+ * Leaves holding arrays (of arrays) are handled by the caller, e.g. `tags` for an array of ObjectIds.
+ */
+
+// Parsed paths, the same handful of paths are used over and over by every query
+// Paths built per request are open ended, the cache only keeps a bounded number of them
+const parsedPaths = new Map();
+const MAX_PARSED_PATHS = 10000;
+
+// Helper that tells plain objects from the other objects, such as ObjectIds, Dates or Buffers
+function isPlainObject(value) {
+    if (!value || typeof value !== "object") return false;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+// Helper that tells plain objects and arrays (which are walked) from values such as ObjectIds, Dates or Buffers (which are not)
+function isTraversable(value) {
+    return Array.isArray(value) || isPlainObject(value);
+}
+
+/** Parses a path into its segments
+ *
+ * @param {string} path e.g. "items.*.ref"
+ * @returns {Array<{ type: "key" | "index" | "wildcard" | "descent", value?: string | number }>}
+ * @throws {TypeError} on empty paths or segments, e.g. "items..ref"
+ */
+function parsePath(path) {
+    if (parsedPaths.has(path)) return parsedPaths.get(path);
+    if (typeof path !== "string" || path.length === 0) {
+        throw new TypeError(`mongoose-lean-extension: invalid path ${JSON.stringify(path)}`);
+    }
+
+    const segments = [];
+    let raw = "";
+    let escaped = false;
+
+    // Reads the characters up to the next unescaped dot into a segment
+    const pushSegment = () => {
+        if (raw.length === 0 && !escaped) {
+            throw new TypeError(`mongoose-lean-extension: empty segment in path "${path}"`);
+        }
+        if (escaped) segments.push({ type: "key", value: raw });
+        else if (raw === "*" || raw === "$*") segments.push({ type: "wildcard" });
+        else if (raw === "**") segments.push({ type: "descent" });
+        else if (/^\d+$/.test(raw)) segments.push({ type: "index", value: Number(raw) });
+        else segments.push({ type: "key", value: raw });
+        raw = "";
+        escaped = false;
+    };
+
+    for (let index = 0; index < path.length; index++) {
+        const char = path[index];
+        if (char === "\\" && index + 1 < path.length) {
+            raw += path[++index];
+            escaped = true;
+        } else if (char === ".") {
+            pushSegment();
+        } else {
+            raw += char;
+        }
+    }
+    pushSegment();
+
+    if (parsedPaths.size < MAX_PARSED_PATHS) parsedPaths.set(path, segments);
+    return segments;
+}
+
+/** Calls visit(parent, key) for every value the path leads to, parent[key] being the value
+ *
+ * Missing keys, nulls and non-traversable values along the way are skipped, the visitor is only called for existing keys.
+ *
+ * @param {Object} obj document (or any object) to walk
+ * @param {string} path see the grammar above
+ * @param {Function} visit (parent, key) => void, may replace or delete parent[key]
+ */
+function forEachAtPath(obj, path, visit) {
+    const segments = parsePath(path);
+
+    function walk(current, index) {
+        if (!isTraversable(current)) return;
+        const segment = segments[index];
+        const last = index === segments.length - 1;
+
+        // Arrays are spread implicitly by keys, arrays of arrays included
+        if (Array.isArray(current) && segment.type === "key") {
+            for (const item of current) walk(item, index);
+            return;
+        }
+
+        if (segment.type === "descent") {
+            // A trailing ** reaches every value below, otherwise zero levels first then one level more
+            if (last) {
+                for (const key of Object.keys(current)) {
+                    visit(current, Array.isArray(current) ? Number(key) : key);
+                    walk(current[key], index);
+                }
+                return;
+            }
+            walk(current, index + 1);
+            for (const key of Object.keys(current)) walk(current[key], index);
+            return;
+        }
+
+        let keys;
+        if (segment.type === "wildcard") keys = Object.keys(current).map((key) => (Array.isArray(current) ? Number(key) : key));
+        else keys = [segment.value];
+
+        for (const key of keys) {
+            if (!Object.prototype.hasOwnProperty.call(current, key)) continue;
+            if (last) visit(current, key);
+            else walk(current[key], index + 1);
+        }
+    }
+
+    walk(obj, 0);
+}
+
+// Compiled path sets, keyed by their paths joined with NUL (a character paths do not hold), bounded as parsed paths are
+const compiledPaths = new Map();
+const MAX_COMPILED_PATHS = 1000;
+
+// Helper that creates a node of a compiled path set, keys spread over arrays while indexes and wildcards apply to them
+function pathNode() {
+    return { keys: new Map(), indexes: new Map(), wildcard: null, leaf: false };
+}
+
+// Helper that tells whether a node leads any further
+function hasChildren(node) {
+    return node.keys.size > 0 || node.indexes.size > 0 || node.wildcard !== null;
+}
+
+/** Compiles a set of paths into a single accessor, walking a document once for all of them
+ *
+ * The paths share their common prefixes, e.g. "contributors._id" and "contributors.account" walk the contributors once.
+ * Paths with ** are walked one by one with forEachAtPath. Compiled sets are cached, a query reuses the accessor of
+ * the previous queries with the same paths (up to a bounded number of sets, the others are compiled per query).
+ *
+ * @param {Array<string>} paths see the grammar above
+ * @returns {Function} (obj, visit) => void, calls visit(parent, key) as forEachAtPath does for every path
+ * @throws {TypeError} on malformed paths
+ */
+function compilePaths(paths) {
+    const cacheKey = paths.join("\0");
+    if (compiledPaths.has(cacheKey)) return compiledPaths.get(cacheKey);
+
+    const root = pathNode();
+    const descentPaths = [];
+    for (const path of paths) {
+        const segments = parsePath(path);
+        if (segments.some((segment) => segment.type === "descent")) {
+            descentPaths.push(path);
+            continue;
+        }
+        let node = root;
+        for (const segment of segments) {
+            if (segment.type === "wildcard") {
+                node = node.wildcard ??= pathNode();
+            } else {
+                const children = segment.type === "index" ? node.indexes : node.keys;
+                if (!children.has(segment.value)) children.set(segment.value, pathNode());
+                node = children.get(segment.value);
+            }
+        }
+        node.leaf = true;
+    }
+
+    // Helper that follows a child of the current value, deeper paths first then the child itself
+    function step(current, key, child, visit) {
+        if (!Object.prototype.hasOwnProperty.call(current, key)) return;
+        if (hasChildren(child)) walk(current[key], child, visit);
+        if (child.leaf) visit(current, key);
+    }
+
+    // Helper that spreads the key segments over the items of arrays, arrays of arrays included
+    function spreadKeys(current, node, visit) {
+        if (Array.isArray(current)) {
+            for (const item of current) spreadKeys(item, node, visit);
+        } else if (isTraversable(current)) {
+            for (const [key, child] of node.keys) step(current, key, child, visit);
+        }
+    }
+
+    function walk(current, node, visit) {
+        if (!isTraversable(current)) return;
+        if (Array.isArray(current)) {
+            if (node.keys.size > 0) for (const item of current) spreadKeys(item, node, visit);
+        } else {
+            for (const [key, child] of node.keys) step(current, key, child, visit);
+        }
+        for (const [index, child] of node.indexes) step(current, index, child, visit);
+        if (node.wildcard) {
+            const isArray = Array.isArray(current);
+            for (const key of Object.keys(current)) step(current, isArray ? Number(key) : key, node.wildcard, visit);
+        }
+    }
+
+    const accessor = (obj, visit) => {
+        walk(obj, root, visit);
+        for (const path of descentPaths) forEachAtPath(obj, path, visit);
+    };
+    if (compiledPaths.size < MAX_COMPILED_PATHS) compiledPaths.set(cacheKey, accessor);
+    return accessor;
+}
+
+module.exports = { parsePath, forEachAtPath, compilePaths, isTraversable, isPlainObject };
@@ -0,0 +1,247 @@
+/** The lean transform pipeline, the ordered steps every lean document goes through
+ *
+ * A step is { name, document | prepare, distinct?, populateQuery?, options? }:
+ *
+ * - document(doc, leanOptions, context) transforms a lean document in place
+ * - prepare(leanOptions, context) does the work a query's documents share once (e.g. compiling paths) and returns
+ *   the (doc) => void applied to each of them, or null to skip the step for the query
+ *   Built-in steps may return { document, result } instead, result(docs) returning what the query resolves to (see runLeanPipeline)
+ * - distinct(values, path, leanOptions, context) transforms .distinct() values in place
+ * - populateQuery runs the step on populate queries with the populated option too, the other steps wait for the parent query
+ * - options lists the lean options the step reads, [name] by default, any other option is reported as unknown
+ *
+ * The built-in steps are registered by ./transforms.js, registerLeanTransform() adds steps of your own among them.
+ */
+
+const attachLeanHooks = require("./leanHooks");
+const translateQuery = require("./translateQuery");
+const validateLeanOptions = require("./validateOptions");
+
+// Options of the pipeline itself rather than of a step, view is expanded into the options of the view
+// byType holds the options of each discriminator, merged over the others for the documents of that type
+const PIPELINE_OPTIONS = ["strict", "view", "byType"];
+
+// Options of the main plugin's hooks, the plugins running some of the steps do not cache their results
+// but accept them, a schema may have the main plugin along with some of the others
+const CACHE_OPTIONS = ["cache"];
+
+// Steps in the order they run
+const steps = [];
+
+// Option names the plugins of a schema accept besides the pipeline's, per schema, e.g. fields for plugins/otherStrings
+// Every plugin of a schema validates its queries, the options of one are known to the others
+const schemaAliases = new WeakMap();
+
+// Helper that finds a step by name
+function indexOfStep(name) {
+    return steps.findIndex((step) => step.name === name);
+}
+
+/** Registers a per-document step of the lean transform pipeline
+ *
+ * @param {string} name unique name of the step, e.g. "redact"
+ * @param {Function|Object} fn (doc, leanOptions, context) => void, transforms the lean document in place
+ * context is { model, populate, populating, projection, aggregate }, populating being true for the documents of populate queries
+ * A step object ({ prepare, distinct?, options? }, see above) prepares its work once per query instead
+ * @param {Object} [order] { before: "rename" } or { after: "stringifyKeys" }, the end of the pipeline otherwise
+ * options lists the lean options the step reads, e.g. { options: ["redact", "redactWith"] }, only the one named after the step otherwise
+ * @throws {TypeError} on a missing name or function, a name already taken or an unknown before / after step
+ *
+ * @example
+ * registerLeanTransform("redact", (doc, { redact }) => {
+ *     if (redact) delete doc.email;
+ * }, { before: "rename" });
+ */
+function registerLeanTransform(name, fn, { before, after, options } = {}) {
+    if (typeof name !== "string" || name.length === 0) {
+        throw new TypeError("mongoose-lean-extension: a lean transform needs a name");
+    }
+    const step = typeof fn === "function" ? { name, document: fn, options } : { options, ...fn };
+    if (typeof step.document !== "function" && typeof step.prepare !== "function") {
+        throw new TypeError(`mongoose-lean-extension: lean transform "${name}" needs a function`);
+    }
+    if (indexOfStep(name) !== -1) {
+        throw new TypeError(`mongoose-lean-extension: a lean transform named "${name}" is already registered`);
+    }
+
+    step.options = [].concat(step.options ?? name);
+
+    const anchor = before ?? after;
+    if (anchor === undefined) {
+        steps.push({ ...step, name });
+        return;
+    }
+    const index = indexOfStep(anchor);
+    if (index === -1) {
+        throw new TypeError(`mongoose-lean-extension: cannot register "${name}" ${before ? "before" : "after"} unknown transform "${anchor}"`);
+    }
+    steps.splice(before ? index : index + 1, 0, { ...step, name });
+}
+
+/** Lists the names of the pipeline's steps, in the order they run
+ *
+ * @returns {Array<string>}
+ */
+function leanTransforms() {
+    return steps.map((step) => step.name);
+}
+
+// Helper that lists the lean options of the pipeline's steps, the ones to tell misspelled options from
+function knownOptions() {
+    return PIPELINE_OPTIONS.concat(...steps.map((step) => step.options));
+}
+
+// Helper that picks the steps of an entry point, every step for the main plugin
+function selectSteps(only) {
+    return only ? steps.filter((step) => only.includes(step.name)) : steps;
+}
+
+// Helper that tells the options and context of each document's type
+// Documents of a discriminated model get their own type's model (its schema, ObjectId paths, hidden paths...) and byType options
+// Returns { queried, typeOf }, typeOf(doc) being null when the model has no discriminators (every document is of the queried type)
+function documentTypes(leanOptions, context) {
+    const { model } = context;
+    const { byType } = leanOptions;
+    const typeOf = (typeModel) => ({
+        leanOptions: byType?.[typeModel?.modelName] ? { ...leanOptions, ...byType[typeModel.modelName] } : leanOptions,
+        context: typeModel === model ? context : { ...context, model: typeModel },
+    });
+    const queried = typeOf(model);
+
+    // The queried model may be a discriminator itself, its base model knows every type
+    const root = model?.baseModelName ? model.db.models[model.baseModelName] ?? model : model;
+    if (!root?.discriminators) return { queried, typeOf: null };
+
+    const { discriminatorKey } = root.schema.options;
+    const byValue = new Map(
+        Object.values(root.discriminators).map((discriminator) => [String(discriminator.schema.discriminatorMapping?.value), discriminator])
+    );
+    const types = new Map([[model, queried]]);
+    return {
+        queried,
+        typeOf(doc) {
+            const typeModel = byValue.get(String(doc[discriminatorKey])) ?? model;
+            if (!types.has(typeModel)) types.set(typeModel, typeOf(typeModel));
+            return types.get(typeModel);
+        },
+    };
+}
+
+/** Runs lean documents through the pipeline, in place
+ *
+ * @param {Array<Object>} docs lean documents (or aggregation results)
+ * @param {Object} leanOptions
+ * @param {Object} [context] { model, populate, populating, projection, single, shared, plugin }, plugin being the one whose defaults apply
+ * @param {Array<string>} [only] names of the steps to run, every step otherwise
+ * @returns {*} what the query should resolve to instead of the documents (e.g. { data, included }), undefined to keep them
+ */
+function runLeanPipeline(docs, leanOptions, context = {}, only) {
+    // Populate queries run before mongoose matches their results to the parents by _id
+    // With the populated option, the parent query runs the rest of the pipeline once they are in place
+    const deferred = context.populating && leanOptions.populated && (!only || only.includes("populated"));
+    const selected = selectSteps(only).filter((step) => !deferred || step.populateQuery);
+
+    // Options are resolved once per query and document type, the steps the options leave out are dropped
+    const results = [];
+    const plans = new Map();
+    const planOf = (type) => {
+        if (plans.has(type)) return plans.get(type);
+        const plan = [];
+        for (const step of selected) {
+            const run = step.prepare
+                ? step.prepare(type.leanOptions, type.context)
+                : (doc) => step.document(doc, type.leanOptions, type.context);
+            if (!run) continue;
+            plan.push(typeof run === "function" ? run : run.document);
+            if (run.result) results.push(run.result);
+        }
+        plans.set(type, plan);
+        return plan;
+    };
+
+    // The types of a query share context.shared, e.g. the included resources of format: "jsonapi"
+    const { queried, typeOf } = documentTypes(leanOptions, { ...context, shared: context.shared ?? {} });
+    if (planOf(queried).length === 0 && !typeOf) return undefined;
+
+    // A single pass, every step runs on a document before the next document
+    for (const doc of docs) {
+        if (!doc || typeof doc !== "object") continue;
+        for (const run of planOf(typeOf ? typeOf(doc) : queried)) run(doc);
+    }
+
+    // Result formats (e.g. format: "jsonapi") wrap the documents, the last one wins
+    let result;
+    for (const resultOf of results) result = resultOf(docs);
+    return result;
+}
+
+/** Runs .distinct() values through the steps that handle them, in place
+ *
+ * @param {Array} values
+ * @param {string} path the distinct path
+ * @param {Object} leanOptions
+ * @param {Object} [context] { model }
+ * @param {Array<string>} [only] names of the steps to run, every step otherwise
+ */
+function runLeanDistinct(values, path, leanOptions, context = {}, only) {
+    for (const step of selectSteps(only)) {
+        if (step.distinct) step.distinct(values, path, leanOptions, context);
+    }
+}
+
+// Translates the renamed _id key and the string ids of queries that opted in with translateQuery
+function translateLeanQuery(query, leanOptions, context) {
+    if (leanOptions.translateQuery) translateQuery(query, leanOptions, context);
+}
+
+/** Attaches the pipeline (or some of its steps) to a schema, the body of every plugin of this package
+ *
+ * @param schema mongoose schema
+ * @param {Object} plugin { plugin, options, steps?, aliases? }
+ * plugin and options are the plugin function and its options (the default lean options)
+ * steps lists the steps the plugin runs, every step (registered ones included) otherwise
+ * aliases maps option names the plugin accepts to the pipeline's, e.g. { fields: "stringifyKeys" }
+ */
+function attachLeanPipeline(schema, { plugin, options, steps: only, aliases }) {
+    // Helper that renames aliased options, options set under their own name win
+    const withAliases = (leanOptions) => {
+        if (!aliases) return leanOptions;
+        const resolved = { ...leanOptions };
+        for (const [alias, name] of Object.entries(aliases)) {
+            if (resolved[name] === undefined && resolved[alias] !== undefined) resolved[name] = resolved[alias];
+        }
+        return resolved;
+    };
+
+    if (!schemaAliases.has(schema)) schemaAliases.set(schema, new Set());
+    for (const alias of Object.keys(aliases ?? {})) schemaAliases.get(schema).add(alias);
+
+    // Helper that reports misspelled or invalid options before the operation runs
+    // The aliases of every plugin of the schema are options too, plugins applied later on (e.g. globally) included
+    const validate = (leanOptions, context) => {
+        // mongoose resolves aggregates to the array of their results whatever their post hooks make of it, not to a document
+        if (context.aggregate && leanOptions.format !== undefined && (!only || only.includes("format"))) {
+            throw new TypeError("mongoose-lean-extension: aggregation results are an array, the format option does not apply");
+        }
+        validateLeanOptions(leanOptions, context, knownOptions().concat([...schemaAliases.get(schema)], CACHE_OPTIONS));
+    };
+
+    attachLeanHooks(
+        schema,
+        (docs, leanOptions, context) => runLeanPipeline(docs, withAliases(leanOptions), { ...context, plugin }, only),
+        (values, path, leanOptions, context) => runLeanDistinct(values, path, withAliases(leanOptions), context, only),
+        {
+            plugin,
+            options,
+            validate,
+            // Queries are translated back by the plugins renaming _id
+            translate: !only || only.includes("rename") ? translateLeanQuery : undefined,
+            cache: !only,
+        }
+    );
+}
+
+module.exports = { registerLeanTransform, leanTransforms, runLeanPipeline, runLeanDistinct, attachLeanPipeline };
+
+// The built-in steps, required last as they register themselves through the exports above
+require("./transforms");
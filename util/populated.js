@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+// Helper that normalizes populate options into an array of { path, model, populate, ... } objects
+// Accepts what .populate() accepts: "a b", { path }, [{ path }, "c"] or the query's own { [path]: PopulateOptions } map
+function normalizePopulate(populate) {
+    if (!populate) return [];
+    if (typeof populate === "string") {
+        return populate
+            .split(" ")
+            .filter(Boolean)
+            .map((path) => ({ path }));
+    }
+    if (Array.isArray(populate)) return populate.flatMap(normalizePopulate);
+    if (typeof populate.path === "string") {
+        // .populate({ path: "a b" }) populates both paths with the same options
+        return populate.path
+            .split(" ")
+            .filter(Boolean)
+            .map((path) => ({ ...populate, path }));
+    }
+    return Object.values(populate).flatMap(normalizePopulate);
+}
+
+// Helper that resolves the model a path was populated from, null when it cannot be told (e.g. refPath)
+function populatedModel(model, populateOptions) {
+    try {
+        const ref = populateOptions.model ?? refOf(model?.schema, populateOptions.path);
+        if (!ref) return null;
+        if (typeof ref === "string") return model.db.model(ref);
+        // A model passed as ref: { ref: User } or .populate({ path, model: User })
+        if (ref.schema instanceof mongoose.Schema) return ref;
+        return null;
+    } catch (error) {
+        // Unregistered model names are mongoose's business, populate itself would have complained
+        return null;
+    }
+}
+
+// Helper that reads the ref of a schema path, an array of refs or a virtual populate
+function refOf(schema, path) {
+    if (!schema) return null;
+    const schemaType = schema.path(path);
+    return (
+        schemaType?.options?.ref ??
+        schemaType?.caster?.options?.ref ??
+        schema.virtuals?.[path]?.options?.ref ??
+        null
+    );
+}
+
+// Helper that collects the populated (plain object) documents found at a dot-separated path, spreading arrays
+function populatedDocuments(docs, path) {
+    const found = new Set();
+
+    function recurse(current, parts) {
+        if (!current || typeof current !== "object") return;
+        if (Array.isArray(current)) {
+            for (const item of current) recurse(item, parts);
+            return;
+        }
+        // Unpopulated refs stay ObjectIds, they are not documents
+        if (current instanceof mongoose.Types.ObjectId) return;
+        if (parts.length === 0) {
+            found.add(current);
+            return;
+        }
+        const [key, ...rest] = parts;
+        recurse(current[key], rest);
+    }
+
+    recurse(docs, path.split("."));
+    // The same populated document may be shared by several parents, it should only be transformed once
+    return [...found];
+}
+
+module.exports = { normalizePopulate, populatedModel, populatedDocuments };
@@ -0,0 +1,83 @@
+/** Pruning of lean documents, the omitNull, omitEmpty, omitDefaults and keep options
+ *
+ * Fields are removed recursively, through nested paths, subdocuments and arrays of subdocuments:
+ *
+ * - omitNull, the fields that are null
+ * - omitEmpty, the empty arrays and objects, including the ones the other options emptied
+ * - omitDefaults, the fields still at the (non-function) default of their schema path
+ *
+ * Array items are never removed, the indexes of the other items would change. keep lists the schema paths
+ * (e.g. "contributors.languages", without array indexes) left as they are, everything below them included.
+ */
+
+const { isDeepStrictEqual } = require("util");
+const { isPlainObject, isTraversable } = require("./paths");
+
+// Helper that compares a value with a default, BSON values (ObjectId, Decimal128...) by their own equals()
+function sameValue(value, defaultValue) {
+    if (value && typeof value.equals === "function" && !(value instanceof Date)) return value.equals(defaultValue);
+    return isDeepStrictEqual(value, defaultValue);
+}
+
+// Helper that tells the default of a schema path, undefined for paths without one and for function defaults (e.g. Date.now)
+function defaultOf(schemaType) {
+    if (!schemaType || schemaType.defaultValue === undefined || typeof schemaType.defaultValue === "function") return undefined;
+    try {
+        return schemaType.getDefault(null, true);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/** Resolves the pruning options
+ *
+ * @param {Object} leanOptions { omitNull, omitEmpty, omitDefaults, keep }
+ * @returns {{ omitNull: boolean, omitEmpty: boolean, omitDefaults: boolean, keep: Set<string> }|null} null when nothing is pruned
+ */
+function pruneOptions({ omitNull, omitEmpty, omitDefaults, keep }) {
+    if (!omitNull && !omitEmpty && !omitDefaults) return null;
+    return {
+        omitNull: Boolean(omitNull),
+        omitEmpty: Boolean(omitEmpty),
+        omitDefaults: Boolean(omitDefaults),
+        keep: new Set(Array.isArray(keep) ? keep : []),
+    };
+}
+
+/** Prunes an object of a lean document, in place
+ *
+ * @param {Object} obj the document, or one of its nested objects
+ * @param {Object} options resolved by pruneOptions()
+ * @param schema the schema of the object, null for objects without one (e.g. Mixed paths), whose defaults are unknown
+ * @param {string} [prefix] path of the object in its schema, for nested paths
+ * @param {string} [at] path of the object in the document, array indexes left out, for the keep paths
+ */
+function pruneObject(obj, options, schema, prefix = "", at = "") {
+    for (const key of Object.keys(obj)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const fullPath = at ? `${at}.${key}` : key;
+        if (options.keep.has(fullPath)) continue;
+
+        const value = obj[key];
+        const schemaType = schema?.path(path);
+
+        if (Array.isArray(value)) {
+            // Arrays of subdocuments have a schema of their own
+            for (const item of value) if (isPlainObject(item)) pruneObject(item, options, schemaType?.schema ?? null, "", fullPath);
+        } else if (isPlainObject(value)) {
+            if (schema?.pathType(path) === "nested") pruneObject(value, options, schema, path, fullPath);
+            else pruneObject(value, options, schemaType?.schema ?? null, "", fullPath);
+        }
+
+        if (options.omitNull && value == null) {
+            delete obj[key];
+        } else if (options.omitEmpty && isTraversable(value) && Object.keys(value).length === 0) {
+            delete obj[key];
+        } else if (options.omitDefaults && schemaType) {
+            const defaultValue = defaultOf(schemaType);
+            if (defaultValue !== undefined && sameValue(value, defaultValue)) delete obj[key];
+        }
+    }
+}
+
+module.exports = { pruneOptions, pruneObject };
@@ -0,0 +1,141 @@
+const { forEachAtPath, isTraversable } = require("./paths");
+
+// Supported key cases, e.g. keyCase: "snake" turns createdAt into created_at
+const KEY_CASES = ["snake", "camel", "kebab"];
+
+// Converted keys per case, documents of a result share their keys
+const convertedKeys = new Map(KEY_CASES.map((keyCase) => [keyCase, new Map()]));
+
+// Helper that renames a key of an object, e.g. _id to id, the value moves along
+function renameKey(parent, key, newKey) {
+    if (key === newKey) return;
+    parent[newKey] = parent[key];
+    delete parent[key];
+}
+
+// Helper that records (parent, key) pairs, found by walking paths or by renaming
+function addPair(pairs, parent, key) {
+    if (!pairs.has(parent)) pairs.set(parent, new Set());
+    pairs.get(parent).add(key);
+}
+
+/** Converts a key to the given case
+ *
+ * Leading underscores and dollar signs are kept (_id, __v, $meta), as are numeric keys (array indices, Map keys).
+ *
+ * @param {string} key e.g. "createdAt", "created_at" or "created-at"
+ * @param {"snake"|"camel"|"kebab"} keyCase
+ * @returns {string} e.g. "created_at" for "createdAt" in snake case
+ */
+function toCase(key, keyCase) {
+    const cache = convertedKeys.get(keyCase);
+    if (cache?.has(key)) return cache.get(key);
+    const converted = convertKey(key, keyCase);
+    // Map keys and the like are open ended, the cache only keeps a bounded number of them
+    if (cache && cache.size < 10000) cache.set(key, converted);
+    return converted;
+}
+
+// Helper that converts a key to the given case, see toCase()
+function convertKey(key, keyCase) {
+    const [, prefix, rest] = /^([_$]*)(.*)$/s.exec(key);
+    if (!rest || /^\d+$/.test(rest)) return key;
+
+    const words = rest
+        // HTMLParser -> HTML Parser, userId -> user Id, version2Major -> version2 Major
+        .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+        .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+        .split(/[\s_-]+/)
+        .filter(Boolean)
+        .map((word) => word.toLowerCase());
+    if (words.length === 0) return key;
+
+    if (keyCase === "snake") return prefix + words.join("_");
+    if (keyCase === "kebab") return prefix + words.join("-");
+    return prefix + words[0] + words.slice(1).map((word) => word[0].toUpperCase() + word.slice(1)).join("");
+}
+
+/** Renames keys of a lean document, in place
+ *
+ * @param {Object} doc lean document
+ * @param {Object} renameKeys paths (see ./paths.js) to the keys to rename, mapped to their new names
+ * e.g. { createdAt: "created", "contributors.username": "login", "links.$*.href": "url" }
+ * @returns {Map<Object, Set<string>>} the renamed keys per object, keyCase leaves their new names as they are
+ * @throws {TypeError} on new names that are not non-empty strings
+ */
+function applyRenameKeys(doc, renameKeys) {
+    const renamed = new Map();
+    for (const [path, newKey] of Object.entries(renameKeys)) {
+        if (typeof newKey !== "string" || newKey.length === 0) {
+            throw new TypeError(
+                `mongoose-lean-extension: renameKeys["${path}"] must be a non-empty string, got ${JSON.stringify(newKey)}`
+            );
+        }
+        forEachAtPath(doc, path, (parent, key) => {
+            // Array elements have no key to rename
+            if (Array.isArray(parent)) return;
+            renameKey(parent, key, newKey);
+            addPair(renamed, parent, newKey);
+        });
+    }
+    return renamed;
+}
+
+/** Rewrites every key of a lean document to the given case, recursively and in place
+ *
+ * @param {Object} doc lean document
+ * @param {"snake"|"camel"|"kebab"|{ to: string, exclude?: string[] }} keyCase
+ * exclude lists paths (see ./paths.js) whose keys keep their names, along with every key below them
+ * @param {Map<Object, Set<string>>} [keep] keys that keep their names (e.g. renamed ones), their values are still converted
+ * @param {Object} [dataPaths] { maps, mixed }, paths whose keys are data (see ./schemaPaths.js dataPaths): the keys of maps keep
+ * their names, their values are still converted, and nothing below a Mixed path is converted
+ * @throws {TypeError} on unsupported cases
+ */
+function applyKeyCase(doc, keyCase, keep = new Map(), { maps = [], mixed = [] } = {}) {
+    const to = typeof keyCase === "object" ? keyCase?.to : keyCase;
+    if (!KEY_CASES.includes(to)) {
+        throw new TypeError(
+            `mongoose-lean-extension: unsupported keyCase ${JSON.stringify(to)}, expected one of ${KEY_CASES.join(", ")}`
+        );
+    }
+
+    // Excluded paths are resolved before any key changes, they use the document's own names
+    const excluded = new Map();
+    for (const path of keyCase?.exclude ?? []) {
+        forEachAtPath(doc, path, (parent, key) => addPair(excluded, parent, key));
+    }
+    for (const path of mixed) forEachAtPath(doc, `${path}.*`, (parent, key) => addPair(excluded, parent, key));
+    for (const path of maps) forEachAtPath(doc, `${path}.*`, (parent, key) => addPair(keep, parent, key));
+
+    // Objects already converted, populated documents may be referenced more than once
+    const seen = new WeakSet();
+
+    function walk(current) {
+        if (!isTraversable(current) || seen.has(current)) return;
+        seen.add(current);
+
+        if (Array.isArray(current)) {
+            current.forEach((item, index) => excluded.get(current)?.has(index) || walk(item));
+            return;
+        }
+        const keys = Object.keys(current);
+        const excludedKeys = excluded.get(current);
+        const keptKeys = keep.get(current);
+        const newKeys = keys.map((key) => {
+            if (excludedKeys?.has(key)) return key;
+            walk(current[key]);
+            return keptKeys?.has(key) ? key : toCase(key, to);
+        });
+
+        // Keys are removed and added back in their original order, from the first one that changes on
+        const first = newKeys.findIndex((newKey, index) => newKey !== keys[index]);
+        if (first === -1) return;
+        const values = keys.map((key) => current[key]);
+        for (let index = first; index < keys.length; index++) delete current[keys[index]];
+        for (let index = first; index < keys.length; index++) current[newKeys[index]] = values[index];
+    }
+
+    walk(doc);
+}
+
+module.exports = { KEY_CASES, renameKey, toCase, applyRenameKeys, applyKeyCase };
@@ -0,0 +1,148 @@
+// Compiled paths per schema, a schema's paths are walked once and reused by every query
+const objectIdPathsCache = new WeakMap();
+const accessRulesCache = new WeakMap();
+const knownPathsCache = new WeakMap();
+const refPathsCache = new WeakMap();
+const dataPathsCache = new WeakMap();
+
+// Helper that unwraps arrays (of arrays) of primitives down to the type of their items
+function itemType(schemaType) {
+    let type = schemaType;
+    while (type?.$isMongooseArray && !type.$isMongooseDocumentArray) type = type.caster;
+    return type;
+}
+
+// Helper that calls visit(fullPath, schemaType) for every path of a schema, the paths of its subdocuments included
+function walkSchema(schema, visit) {
+    // Schemas may embed themselves (e.g. comments with replies: [CommentSchema])
+    // Such a schema is walked down to its first self-embedding, "**" paths are the way to reach arbitrary depths
+    const visiting = new Map();
+
+    function walk(current, prefix) {
+        const depth = visiting.get(current) ?? 0;
+        if (depth > 1) return;
+        visiting.set(current, depth + 1);
+
+        current.eachPath((path, schemaType) => {
+            const fullPath = prefix + path;
+            visit(fullPath, schemaType);
+            if (schemaType.$isSingleNested || schemaType.$isMongooseDocumentArray) {
+                walk(schemaType.schema, `${fullPath}.`);
+            }
+        });
+
+        visiting.set(current, depth);
+    }
+
+    walk(schema, "");
+}
+
+/** Collects the dot-paths of every ObjectId in a schema, to be used as stringifyKeys
+ *
+ * Covers ObjectId and ref paths, arrays of ObjectIds, Map values (as `path.$*`) and the ObjectIds (_id included) of single nested and array subdocuments.
+ * The top-level _id is left out, it is the business of stringifyId and rename.
+ *
+ * @param schema mongoose schema
+ * @returns {Array<string>} e.g. ["owner", "tags", "contributors._id", "contributors.account"]
+ */
+module.exports = function objectIdPaths(schema) {
+    if (!schema) return [];
+    if (objectIdPathsCache.has(schema)) return objectIdPathsCache.get(schema);
+
+    const paths = [];
+    walkSchema(schema, (fullPath, schemaType) => {
+        if (schemaType.$isSingleNested || schemaType.$isMongooseDocumentArray) return;
+        if (itemType(schemaType)?.instance === "ObjectId" && fullPath !== "_id") {
+            paths.push(fullPath);
+        }
+    });
+
+    objectIdPathsCache.set(schema, paths);
+    return paths;
+};
+
+/** Collects the paths of a schema declared with the leanHidden or leanAccess path options
+ *
+ * @param schema mongoose schema
+ * @returns {Array<{ path: string, hidden: boolean, access?: Array<string> }>}
+ * e.g. [{ path: "passwordHash", hidden: true }, { path: "sessions.ip", hidden: false, access: ["admin"] }]
+ */
+module.exports.accessRules = function accessRules(schema) {
+    if (!schema) return [];
+    if (accessRulesCache.has(schema)) return accessRulesCache.get(schema);
+
+    const rules = [];
+    walkSchema(schema, (fullPath, schemaType) => {
+        const { leanHidden, leanAccess } = schemaType.options ?? {};
+        if (!leanHidden && leanAccess == null) return;
+        rules.push({
+            path: fullPath,
+            hidden: leanHidden === true,
+            ...(leanAccess != null && { access: [].concat(leanAccess) }),
+        });
+    });
+
+    accessRulesCache.set(schema, rules);
+    return rules;
+};
+
+/** Collects every dot-path of a schema, the paths of its subdocuments and the nested objects leading to them included
+ *
+ * @param schema mongoose schema
+ * @returns {Set<string>} e.g. Set { "name", "meta", "meta.ref", "contributors", "contributors._id", "byName.$*" }
+ */
+module.exports.knownPaths = function knownPaths(schema) {
+    if (!schema) return new Set();
+    if (knownPathsCache.has(schema)) return knownPathsCache.get(schema);
+
+    const paths = new Set();
+    walkSchema(schema, (fullPath) => {
+        const keys = fullPath.split(".");
+        for (let index = 1; index <= keys.length; index++) paths.add(keys.slice(0, index).join("."));
+    });
+
+    knownPathsCache.set(schema, paths);
+    return paths;
+};
+
+/** Collects the Map and Mixed paths of a schema, the keys below them are data rather than the names of fields
+ *
+ * @param schema mongoose schema
+ * @returns {{ maps: Array<string>, mixed: Array<string> }} e.g. { maps: ["prices", "bag"], mixed: ["meta", "bag.$*", "tags"] }
+ */
+module.exports.dataPaths = function dataPaths(schema) {
+    if (!schema) return { maps: [], mixed: [] };
+    if (dataPathsCache.has(schema)) return dataPathsCache.get(schema);
+
+    const paths = { maps: [], mixed: [] };
+    walkSchema(schema, (fullPath, schemaType) => {
+        const instance = itemType(schemaType)?.instance;
+        if (instance === "Map") paths.maps.push(fullPath);
+        else if (instance === "Mixed") paths.mixed.push(fullPath);
+    });
+
+    dataPathsCache.set(schema, paths);
+    return paths;
+};
+
+/** Collects the top-level paths of a schema that reference other documents, populate virtuals included
+ *
+ * @param schema mongoose schema
+ * @returns {Array<{ path: string, ref?: string | Function | Object, refPath?: string }>}
+ * e.g. [{ path: "owner", ref: "User" }, { path: "tags", ref: "Tag" }, { path: "target", refPath: "targetModel" }]
+ */
+module.exports.refPaths = function refPaths(schema) {
+    if (!schema) return [];
+    if (refPathsCache.has(schema)) return refPathsCache.get(schema);
+
+    const refs = [];
+    const add = (path, { ref, refPath } = {}) => {
+        if (path.includes(".") || (!ref && !refPath)) return;
+        refs.push({ path, ...(ref && { ref }), ...(refPath && { refPath }) });
+    };
+    schema.eachPath((path, schemaType) => add(path, itemType(schemaType)?.options));
+    for (const [path, virtual] of Object.entries(schema.virtuals)) add(path, virtual.options);
+
+    refPathsCache.set(schema, refs);
+    return refs;
+};
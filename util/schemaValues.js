@@ -0,0 +1,115 @@
+/** Schema defaults, getters and virtuals for lean documents, which mongoose only applies to hydrated ones
+ *
+ * Each document is handled as mongoose would hydrate it: its subdocuments first, then its own
+ * defaults (for missing values of selected paths), getters and virtuals.
+ */
+
+// Helper that reads a schema path (e.g. "profile.name") of a lean document
+function getPath(doc, path) {
+    let current = doc;
+    for (const key of path.split(".")) {
+        if (current == null || typeof current !== "object") return undefined;
+        current = current[key];
+    }
+    return current;
+}
+
+// Helper that writes a schema path of a lean document, creating the nested objects along the way
+function setPath(doc, path, value) {
+    const keys = path.split(".");
+    let current = doc;
+    for (const key of keys.slice(0, -1)) {
+        if (current[key] == null || typeof current[key] !== "object") current[key] = {};
+        current = current[key];
+    }
+    current[keys[keys.length - 1]] = value;
+}
+
+// Helper that tells whether a path is part of a query's projection, e.g. { name: 1 } or { passwordHash: 0 }
+function isSelected(projection, path) {
+    const entries = Object.entries(projection ?? {}).filter(
+        ([key, value]) => key !== "_id" && !key.startsWith("+") && (typeof value === "number" || typeof value === "boolean")
+    );
+    if (entries.length === 0) return true;
+
+    const covers = (key) => key === path || path.startsWith(`${key}.`) || key.startsWith(`${path}.`);
+    const inclusive = entries.some(([, value]) => value === 1 || value === true);
+    if (inclusive) return entries.some(([key, value]) => (value === 1 || value === true) && covers(key));
+    return !entries.some(([key]) => key === path || path.startsWith(`${key}.`));
+}
+
+// Helper that computes a path's default, cast the way mongoose would (e.g. Date.now into a Date)
+function defaultOf(schemaType, doc) {
+    const defaultValue = schemaType.defaultValue;
+    const value = typeof defaultValue === "function" ? defaultValue.call(doc, doc) : defaultValue;
+    // Arrays and subdocuments default to plain arrays and objects, their content is handled as a subdocument's
+    if (value == null || schemaType.$isMongooseArray || schemaType.$isSingleNested) return value;
+    try {
+        return schemaType.cast(value);
+    } catch {
+        return value;
+    }
+}
+
+// Helper that applies the getters of a path, array paths apply the getters of their items to every item
+function gettersOf(schemaType, value, doc) {
+    let result = value;
+    if (schemaType.getters.length) result = schemaType.applyGetters(result, doc);
+    const caster = schemaType.$isMongooseArray && !schemaType.$isMongooseDocumentArray ? schemaType.caster : null;
+    if (Array.isArray(result) && caster?.getters?.length) {
+        result = result.map((item) => caster.applyGetters(item, doc));
+    }
+    return result;
+}
+
+/** Applies schema defaults, getters and virtuals to a lean document, its subdocuments included, in place
+ *
+ * @param {Object} doc lean document
+ * @param schema mongoose schema of the document
+ * @param {Object} options { defaults?: boolean, getters?: boolean, virtuals?: boolean | Array<string> }
+ * virtuals lists the virtuals to compute, subdocument ones as dot-paths (e.g. "contributors.displayName")
+ * @param {Object} [projection] the query's projection, defaults are only added to selected paths
+ */
+function applySchemaValues(doc, schema, options, projection, prefix = "") {
+    if (!doc || typeof doc !== "object" || !schema) return;
+    const { defaults, getters, virtuals } = options;
+
+    // Defaults for values older documents lack, _id aside (an invented _id would not match anything stored)
+    if (defaults) {
+        schema.eachPath((path, schemaType) => {
+            if (path === "_id" || schemaType.defaultValue === undefined) return;
+            if (getPath(doc, path) !== undefined || !isSelected(projection, prefix + path)) return;
+            const value = defaultOf(schemaType, doc);
+            if (value !== undefined) setPath(doc, path, value);
+        });
+    }
+
+    // Subdocuments first, the getters and virtuals of their parent may read their values
+    schema.eachPath((path, schemaType) => {
+        if (!schemaType.$isSingleNested && !schemaType.$isMongooseDocumentArray) return;
+        const value = getPath(doc, path);
+        for (const subdoc of [].concat(value ?? [])) {
+            applySchemaValues(subdoc, schemaType.schema, options, projection, `${prefix}${path}.`);
+        }
+    });
+
+    if (getters) {
+        schema.eachPath((path, schemaType) => {
+            if (schemaType.$isSingleNested || schemaType.$isMongooseDocumentArray) return;
+            const value = getPath(doc, path);
+            if (value !== undefined) setPath(doc, path, gettersOf(schemaType, value, doc));
+        });
+    }
+
+    if (virtuals) {
+        for (const [name, virtual] of Object.entries(schema.virtuals)) {
+            // Populate virtuals are filled by .populate() itself
+            if (virtual.options?.ref || virtual.options?.refPath) continue;
+            if (Array.isArray(virtuals) && !virtuals.includes(prefix + name)) continue;
+            const value = virtual.applyGetters(undefined, doc);
+            if (value !== undefined) setPath(doc, name, value);
+        }
+    }
+}
+
+module.exports = { applySchemaValues, isSelected };
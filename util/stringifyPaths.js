@@ -1,35 +1,33 @@
-// Helper function that stringifies ObjectIds at a specified dot-separated path in an object
-module.exports = function applyStringifyAtPath(obj, path) {
-    const parts = path.split(".");
-
-    // Define an inner recursive function to traverse and transform nested paths
-    function recurse(current, remainingParts) {
-        if (!current) return;
+const { forEachAtPath, compilePaths } = require("./paths");
 
-        const [key, ...rest] = remainingParts;
-
-        // If current is an array, recursively apply to each item (handles arrays like contributors[])
-        if (Array.isArray(current)) {
-            for (const item of current) {
-                recurse(item, remainingParts);
-            }
-            return;
-        }
+// Helper function that stringifies an ObjectId, or every ObjectId in an array (of arrays) of them
+function stringifyValue(value) {
+    if (Array.isArray(value)) {
+        for (let index = 0; index < value.length; index++) value[index] = stringifyValue(value[index]);
+        return value;
+    }
+    if (value && typeof value === "object" && typeof value?.toHexString === "function") {
+        return value.toHexString();
+    }
+    return value;
+}
 
-        // If this is the last part of the path, we expect an ObjectId to convert
-        if (rest.length === 0) {
-            if (
-                current[key] &&
-                typeof current[key] === "object" &&
-                typeof current[key]?.toHexString === "function"
-            ) {
-                current[key] = current[key].toHexString();
-            }
-        } else {
-            recurse(current[key], rest);
-        }
+// Visitor that stringifies the ObjectId (or array of ObjectIds) at parent[key]
+function stringifyAt(parent, key) {
+    // We expect an ObjectId (or an array of ObjectIds) to convert
+    if (parent[key] && typeof parent[key] === "object") {
+        parent[key] = stringifyValue(parent[key]);
     }
+}
+
+// Helper function that stringifies ObjectIds at a specified path in an object
+// Paths follow the grammar documented in ./paths.js, e.g. "contributors._id", "items.*.ref", "**._id" or "prices.$*"
+module.exports = function applyStringifyAtPath(obj, path) {
+    forEachAtPath(obj, path, stringifyAt);
+};
 
-    // Start recursion from the object with the full path parts
-    recurse(obj, parts);
+// Compiles a set of paths (e.g. a query's stringifyKeys) into a function stringifying all of them in one walk of a document
+module.exports.compileStringifyPaths = function compileStringifyPaths(paths) {
+    const accessor = compilePaths(paths);
+    return (obj) => accessor(obj, stringifyAt);
 };
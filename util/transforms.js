@@ -0,0 +1,300 @@
+/** The built-in steps of the lean transform pipeline, in the order they run
+ *
+ * schemaValues, hidden, prune, stringifyKeys, convert, populated, showVersion, renameKeys, keyCase, stringifyId, rename, flatten, format
+ *
+ * Each step prepares its work once per query (resolving its options and compiling its paths) and returns
+ * the function applied to every document, or null when its options leave the documents as they are.
+ */
+
+const mongoose = require("mongoose");
+const { registerLeanTransform, runLeanPipeline } = require("./pipeline");
+const { resolveLeanOptions, ownLeanOptions } = require("./leanOptions");
+const { compileStringifyPaths } = require("./stringifyPaths");
+const { stringifyValues } = require("./leanHooks");
+const { normalizePopulate, populatedModel, populatedDocuments } = require("./populated");
+const objectIdPaths = require("./schemaPaths");
+const { accessRules, dataPaths } = objectIdPaths;
+const { compilePaths } = require("./paths");
+const { compileConvert } = require("./convert");
+const { renameKey, toCase, applyRenameKeys, applyKeyCase } = require("./renameKeys");
+const { applySchemaValues } = require("./schemaValues");
+const { prepareResources } = require("./jsonApi");
+const { flattenOptions, flattenDocument } = require("./flatten");
+const { pruneOptions, pruneObject } = require("./prune");
+
+// Output formats of the format option
+const FORMATS = ["jsonapi"];
+
+// Populated documents already transformed, a cursor transforms its documents one at a time
+// while the documents of a batch share the populated documents they reference
+const transformedPopulated = new WeakSet();
+
+// keyCase leaves the keys renameKeys gave a name to as they are, the renameKeys step hands them over per document
+const renamedKeys = new WeakMap();
+
+// Visitor that removes parent[key], for the paths a query may not see
+function removeAt(parent, key) {
+    delete parent[key];
+}
+
+// Options that turn the schema values off, they are applied once per document
+const NO_SCHEMA_VALUES = { defaults: false, getters: false, virtuals: false };
+
+// Options of populated documents, set by the query (or per path) or else by the defaults of the populated model
+const POPULATED_OPTIONS = ["stringifyId", "rename", "showVersion", "role", "reveal"];
+
+// Helper that picks the options of populated documents out of lean options
+function populatedOptions(leanOptions) {
+    return Object.fromEntries(POPULATED_OPTIONS.filter((option) => leanOptions?.[option] !== undefined).map((option) => [option, leanOptions[option]]));
+}
+
+// Helper that stringifies an _id, $group keys can be an ObjectId or a compound object holding ObjectIds
+function stringifyIdValue(id) {
+    if (id instanceof mongoose.Types.ObjectId) return id.toString();
+    if (id && Object.getPrototypeOf(id) === Object.prototype) {
+        for (const key of Object.keys(id)) id[key] = stringifyIdValue(id[key]);
+    }
+    return id;
+}
+
+// Helper that picks the lean options of a populated path from the 'populated' option
+// true applies the parent's options to every populated path, an array lists the paths and an object maps paths to their own options
+function populatedPathOptions(populated, path) {
+    if (populated === true) return {};
+    if (Array.isArray(populated)) return populated.includes(path) ? {} : null;
+    if (populated && typeof populated === "object" && populated[path]) {
+        return typeof populated[path] === "object" ? populated[path] : {};
+    }
+    return null;
+}
+
+// Helper that resolves the stringifyKeys option, "auto" is replaced by the ObjectId paths compiled from the model's schema
+function resolveStringifyKeys(stringifyKeys = [], model) {
+    return stringifyKeys === "auto" ? objectIdPaths(model?.schema) : stringifyKeys;
+}
+
+// Helper that lists the paths a query may not see: leanHidden paths and leanAccess paths none of the query's roles is granted
+// Paths listed in reveal are shown either way, paths listed in hide (e.g. by a lean view) are removed either way
+// hide names paths of the query's own model, populate queries leave it to their populated model's own schema
+function restrictedPaths(model, { role, reveal = [], hide = [] }, populating) {
+    const roles = [].concat(role ?? []);
+    const revealed = [].concat(reveal);
+    const restricted = accessRules(model?.schema)
+        .filter(({ path, hidden, access }) => {
+            if (revealed.includes(path)) return false;
+            return hidden || (access && !access.some((granted) => roles.includes(granted)));
+        })
+        .map(({ path }) => path);
+    if (populating || !Array.isArray(hide)) return restricted;
+    return restricted.concat(hide.filter((path) => !restricted.includes(path)));
+}
+
+// Helper that tells the key a top-level schema path ends up with once renameKeys and keyCase applied
+function keyOfPath({ renameKeys, keyCase }) {
+    const to = typeof keyCase === "object" ? keyCase?.to : keyCase;
+    const exclude = keyCase?.exclude ?? [];
+    return (path) => renameKeys?.[path] ?? (to && !exclude.includes(path) ? toCase(path, to) : path);
+}
+
+// Runs the pipeline on populated documents, with stringifyId, rename and showVersion (or the path's own options), nested populate chains included
+// The options the query leaves out are the populated model's defaults rather than the parent's
+function transformPopulated(docs, leanOptions, context, populate, prefix = "") {
+    const { model, plugin } = context;
+    const { populated } = leanOptions;
+    const own = populatedOptions(ownLeanOptions(leanOptions));
+
+    for (const populateOptions of normalizePopulate(populate)) {
+        const path = prefix + populateOptions.path;
+        const populatedDocs = populatedDocuments(docs, populateOptions.path).filter((doc) => !transformedPopulated.has(doc));
+        if (populatedDocs.length === 0) continue;
+        populatedDocs.forEach((doc) => transformedPopulated.add(doc));
+
+        // The populated model's own schema decides its versionKey and the refs of its nested populate chain
+        const refModel = populatedModel(model, populateOptions);
+
+        // Deepest documents first, while the parents still have their original shape
+        if (populateOptions.populate) {
+            transformPopulated(populatedDocs, leanOptions, { model: refModel, plugin }, populateOptions.populate, `${path}.`);
+        }
+
+        const pathOptions = populatedPathOptions(populated, path);
+        if (!pathOptions) continue;
+
+        const defaults = populatedOptions(refModel?.schema && resolveLeanOptions(refModel.schema, plugin, true));
+        runLeanPipeline(
+            populatedDocs,
+            // Populated documents got their virtuals, getters and defaults from the populate query, with their own schema
+            { ...defaults, ...own, ...pathOptions, ...NO_SCHEMA_VALUES, populated: false },
+            { model: refModel, plugin }
+        );
+    }
+}
+
+// For schema values; defaults, getters and virtuals are computed first, on the document as stored (e.g. with an ObjectId _id)
+registerLeanTransform("schemaValues", {
+    options: ["defaults", "getters", "virtuals"],
+    populateQuery: true,
+    prepare({ defaults, getters, virtuals }, context) {
+        const schema = context.model?.schema;
+        if ((!defaults && !getters && !virtuals) || !schema) return null;
+        return (doc) => applySchemaValues(doc, schema, { defaults, getters, virtuals }, context.projection);
+    },
+});
+
+// For hidden paths; leanHidden and leanAccess paths of the model's schema, and the hide paths, are removed before any other option applies
+// Populate queries included, their documents are removed from even when the parent query transforms them later on
+registerLeanTransform("hidden", {
+    options: ["role", "reveal", "hide"],
+    populateQuery: true,
+    prepare(leanOptions, context) {
+        const restricted = restrictedPaths(context.model, leanOptions, context.populating);
+        if (restricted.length === 0) return null;
+        const accessor = compilePaths(restricted);
+        return (doc) => accessor(doc, removeAt);
+    },
+    distinct(values, path, leanOptions, context) {
+        // Values of a path the query may not see are dropped
+        if (restrictedPaths(context.model, leanOptions).includes(path)) values.splice(0);
+    },
+});
+
+// For pruning; null fields, empty arrays and objects and fields at their schema default are removed, but the keep paths
+// Values are compared with the defaults as stored, before any conversion, aggregation results have no defaults to compare with
+registerLeanTransform("prune", {
+    options: ["omitNull", "omitEmpty", "omitDefaults", "keep"],
+    prepare(leanOptions, context) {
+        const options = pruneOptions(leanOptions);
+        if (!options) return null;
+        const schema = context.aggregate ? null : context.model?.schema ?? null;
+        return (doc) => pruneObject(doc, options, schema);
+    },
+});
+
+// For stringifyKeys; the ObjectIds at the given paths (e.g. 'contributors._id'), "auto" standing for every ObjectId path of the schema
+// The paths are compiled once per set into an accessor walking each document once
+registerLeanTransform("stringifyKeys", {
+    prepare(leanOptions, context) {
+        const stringifyKeys = resolveStringifyKeys(leanOptions.stringifyKeys, context.model);
+        if (!Array.isArray(stringifyKeys) || stringifyKeys.length === 0) return null;
+        return compileStringifyPaths(stringifyKeys);
+    },
+    distinct(values, path, leanOptions, context) {
+        const stringifyKeys = resolveStringifyKeys(leanOptions.stringifyKeys, context.model);
+        if (Array.isArray(stringifyKeys) && stringifyKeys.includes(path)) stringifyValues(values);
+    },
+});
+
+// For other BSON types; Decimal128, Long, UUID / Binary and Date values are converted as the convert option says
+// Populate queries are skipped, their documents are converted along with their parents
+registerLeanTransform("convert", {
+    prepare({ convert }, context) {
+        if (!convert || typeof convert !== "object" || context.populating) return null;
+        return compileConvert(convert, context.model?.modelName);
+    },
+});
+
+// For populated documents; with the populated option, they get their own _id, __v and rename treatment
+registerLeanTransform("populated", {
+    prepare(leanOptions, context) {
+        if (!leanOptions.populated || !context.populate) return null;
+        return (doc) => transformPopulated([doc], leanOptions, context, context.populate);
+    },
+});
+
+// For deversion; if showVersion is true, the model's version key (mongoose's default is __v) stays in the results
+registerLeanTransform("showVersion", {
+    prepare({ showVersion = false }, context) {
+        if (showVersion) return null;
+        const versionKey = context.model?.schema?.options?.versionKey || "__v";
+        return (doc) => {
+            if (Number.isInteger(doc[versionKey])) delete doc[versionKey];
+        };
+    },
+});
+
+// For renaming other keys; renameKeys paths use the document's own names, keyCase then rewrites every other key
+// Populate queries are skipped, their documents are renamed along with their parents
+registerLeanTransform("renameKeys", {
+    prepare({ renameKeys }, context) {
+        if (!renameKeys || context.populating) return null;
+        return (doc) => renamedKeys.set(doc, applyRenameKeys(doc, renameKeys));
+    },
+});
+
+// The keys of the schema's Map and Mixed paths are data and keep their names, unless { to, dataKeys: true } converts them too
+// Aggregation results are shaped by their pipeline, their keys are all converted
+registerLeanTransform("keyCase", {
+    prepare({ keyCase }, context) {
+        if (!keyCase || context.populating) return null;
+        const data = keyCase.dataKeys || context.aggregate ? undefined : dataPaths(context.model?.schema);
+        return (doc) => {
+            applyKeyCase(doc, keyCase, renamedKeys.get(doc), data);
+            renamedKeys.delete(doc);
+        };
+    },
+});
+
+// For stringifying _id; if stringifyId is false, mongo's index field _id will not be stringified rather remain with type ObjectId
+registerLeanTransform("stringifyId", {
+    prepare({ stringifyId = true }) {
+        if (!stringifyId) return null;
+        return (doc) => {
+            if (doc._id) doc._id = stringifyIdValue(doc._id);
+        };
+    },
+    distinct(values, path, { stringifyId = true }) {
+        if (stringifyId && path === "_id") stringifyValues(values);
+    },
+});
+
+// For naming _id field something else; the renamed _id is a hex string whatever stringifyId says
+// Populate queries keep their _id key, mongoose matches the populated documents to their parents by it
+registerLeanTransform("rename", {
+    options: ["rename", "translateQuery"],
+    prepare({ rename }, context) {
+        if (!rename || context.populating) return null;
+        return (doc) => {
+            if (!("_id" in doc)) return;
+            if (doc._id) doc._id = stringifyIdValue(doc._id);
+            renameKey(doc, "_id", rename);
+        };
+    },
+    distinct(values, path, { rename }) {
+        if (rename && path === "_id") stringifyValues(values);
+    },
+});
+
+// For flattening; flatten turns documents into dot-notation columns once they have their final keys, e.g. for spreadsheet exports
+// Populate queries are skipped, their documents are flattened along with their parents
+registerLeanTransform("flatten", {
+    prepare({ flatten }, context) {
+        const options = flattenOptions(flatten);
+        if (!options || context.populating) return null;
+        return (doc) => flattenDocument(doc, options);
+    },
+});
+
+// For output formats; format: "jsonapi" turns every document into a JSON:API resource, last, once it has its final keys
+// Queries resolve to a JSON:API document, { data, included }, populated documents being the included resources
+// Populate queries are skipped, their documents are included along with their parents
+registerLeanTransform("format", {
+    options: ["format", "type"],
+    prepare(leanOptions, context) {
+        const { format } = leanOptions;
+        if (format === undefined || context.populating) return null;
+        if (!FORMATS.includes(format)) {
+            throw new TypeError(
+                `mongoose-lean-extension: unsupported format ${JSON.stringify(format)}, expected one of ${FORMATS.join(", ")}`
+            );
+        }
+
+        const { toResource, included } = prepareResources(leanOptions, context, keyOfPath(leanOptions));
+        return {
+            document: toResource,
+            result(docs) {
+                const resources = included();
+                return { data: context.single ? docs[0] ?? null : docs, ...(resources.length > 0 && { included: resources }) };
+            },
+        };
+    },
+});
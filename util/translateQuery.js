@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+const objectIdPaths = require("./schemaPaths");
+
+// Filter operators whose values are compared against the path's own values
+const VALUE_OPERATORS = ["$eq", "$ne", "$gt", "$gte", "$lt", "$lte", "$in", "$nin", "$all"];
+
+// Filter operators holding a list of filters
+const LOGICAL_OPERATORS = ["$and", "$or", "$nor"];
+
+// Helper that rebuilds an object with one of its keys renamed, the order of the keys is kept
+function withKeyRenamed(obj, key, newKey) {
+    if (!obj || typeof obj !== "object" || !Object.prototype.hasOwnProperty.call(obj, key)) return obj;
+    const renamed = {};
+    for (const [name, value] of Object.entries(obj)) renamed[name === key ? newKey : name] = value;
+    return renamed;
+}
+
+// Helper that turns a hex string, or the hex strings of an array, into ObjectIds
+function castObjectId(value) {
+    if (Array.isArray(value)) return value.map(castObjectId);
+    if (typeof value === "string" && /^[0-9a-f]{24}$/i.test(value)) return new mongoose.Types.ObjectId(value);
+    return value;
+}
+
+// Helper that casts the value of a filter path, either a value or an object of operators such as { $in: [...] }
+function castCondition(condition) {
+    const isOperators = condition && Object.getPrototypeOf(condition) === Object.prototype;
+    if (!isOperators) return castObjectId(condition);
+    const cast = { ...condition };
+    for (const operator of VALUE_OPERATORS) {
+        if (operator in cast) cast[operator] = castObjectId(cast[operator]);
+    }
+    if (cast.$not && typeof cast.$not === "object") cast.$not = castCondition(cast.$not);
+    return cast;
+}
+
+// Helper that translates a filter, nested $and, $or and $nor filters included
+function translateFilter(filter, rename, paths) {
+    if (!filter || typeof filter !== "object") return filter;
+    const translated = rename ? withKeyRenamed(filter, rename, "_id") : { ...filter };
+
+    for (const key of Object.keys(translated)) {
+        if (LOGICAL_OPERATORS.includes(key) && Array.isArray(translated[key])) {
+            translated[key] = translated[key].map((nested) => translateFilter(nested, rename, paths));
+        } else if (paths.has(key)) {
+            translated[key] = castCondition(translated[key]);
+        }
+    }
+    return translated;
+}
+
+/** Translates the vocabulary of lean results back into the query's, before it runs
+ *
+ * - the key _id is renamed to (the rename option) becomes _id again in the filter, the sort and the projection
+ * - hex strings at ObjectId paths (_id and the schema's ObjectId paths) of the filter are cast into ObjectIds
+ *
+ * Mongoose casts the filters of most queries by itself, but the renamed key is unknown to it
+ * and .cursor() casts the filter before the pre hooks run.
+ *
+ * @param query mongoose query, modified in place
+ * @param {Object} leanOptions e.g. { rename: "id" }
+ * @param {Object} context { model }
+ */
+module.exports = function translateQuery(query, leanOptions, context = {}) {
+    const { rename } = leanOptions;
+    const paths = new Set(["_id", ...objectIdPaths(context.model?.schema)]);
+
+    query.setQuery(translateFilter(query.getFilter(), rename, paths));
+    if (!rename) return;
+
+    const options = query.getOptions();
+    if (options.sort) query.options.sort = withKeyRenamed(options.sort, rename, "_id");
+    if (query._fields) query._fields = withKeyRenamed(query._fields, rename, "_id");
+    if (query._userProvidedFields) query._userProvidedFields = withKeyRenamed(query._userProvidedFields, rename, "_id");
+    if (query._distinct === rename) query._distinct = "_id";
+};
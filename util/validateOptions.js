@@ -0,0 +1,153 @@
+/** Validation of the lean options of a query
+ *
+ * Unknown options (e.g. a misspelled stringfyKeys), a rename that is not a string or that collides with a field of the schema
+ * stringifyKeys paths of the query the schema does not have, hide and keep paths that are not an array of paths, a cache option
+ * without a positive ttl and byType entries that are not discriminators of the model (or whose options have these problems)
+ * are reported:
+ *
+ * - as process warnings, once per model and problem, by default
+ * - as a TypeError rejecting the query with the strict option
+ */
+
+const { knownPaths } = require("./schemaPaths");
+const { ownLeanOptions } = require("./leanOptions");
+const { ttlOf } = require("./leanCache");
+
+// Options mongoose itself reads from the lean option
+const MONGOOSE_LEAN_OPTIONS = ["transform", "versionKey"];
+
+// Keys this package marks lean options with, e.g. for the queries of Model.findLeanPage()
+const INTERNAL_KEY = /^_leanExtension/;
+
+// Warnings already emitted, a problem is reported once per model rather than once per query
+const warned = new Set();
+
+// Helper that measures how many edits turn a string into another, to suggest the option a typo stands for
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return row[b.length];
+}
+
+// Helper that picks the known option closest to an unknown one, if any is close enough
+function suggestion(key, knownOptions) {
+    const [closest] = knownOptions
+        .map((option) => ({ option, distance: editDistance(key.toLowerCase(), option.toLowerCase()) }))
+        .sort((a, b) => a.distance - b.distance);
+    return closest && closest.distance <= 2 ? `, did you mean "${closest.option}"?` : "";
+}
+
+// Helper that tells whether a schema has a path, wildcard and escaped paths are not checked
+function hasPath(schema, path) {
+    if (/[*\\]/.test(path.replace(/\$\*/g, ""))) return true;
+    if (schema.options?.strict === false) return true;
+    // Array indexes (e.g. items.1.ref) are not part of schema paths
+    const schemaPath = path
+        .split(".")
+        .filter((key) => !/^\d+$/.test(key))
+        .join(".");
+    return knownPaths(schema).has(schemaPath) || schema.pathType(schemaPath) !== "adhocOrUndefined" || Boolean(schema.path(schemaPath));
+}
+
+// Helper that lists the models of a model's discriminator hierarchy by name, its base model first
+function modelTypes(model) {
+    const root = model?.baseModelName ? model.db.models[model.baseModelName] ?? model : model;
+    return new Map([root, ...Object.values(root?.discriminators ?? {})].filter(Boolean).map((type) => [type.modelName, type]));
+}
+
+// Helper that lists the problems of the byType option, each discriminator's options checked against its own schema
+function byTypeProblems(byType, context, knownOptions) {
+    if (!byType || typeof byType !== "object" || Array.isArray(byType)) {
+        return [`byType must map discriminator names to lean options, got ${JSON.stringify(byType)}`];
+    }
+    const problems = [];
+    const types = modelTypes(context.model);
+    // A query has one projection and one cache entry, views and the cache option apply to every type
+    const typeOptions = knownOptions.filter((option) => !["byType", "view", "cache"].includes(option));
+    for (const [name, options] of Object.entries(byType)) {
+        if (context.model && !types.has(name)) {
+            problems.push(`byType "${name}" is not a discriminator of the model${suggestion(name, [...types.keys()])}`);
+        } else if (!options || typeof options !== "object" || Array.isArray(options)) {
+            problems.push(`byType "${name}" must be lean options, got ${JSON.stringify(options)}`);
+        } else {
+            const typeContext = { ...context, model: types.get(name) ?? context.model };
+            for (const problem of problemsOf(options, typeContext, typeOptions)) problems.push(`byType "${name}": ${problem}`);
+        }
+    }
+    return problems;
+}
+
+// Helper that lists the problems of a set of lean options
+function problemsOf(leanOptions, context, knownOptions) {
+    const problems = [];
+    const schema = context.model?.schema;
+    const known = knownOptions.concat(MONGOOSE_LEAN_OPTIONS);
+
+    for (const key of Object.keys(leanOptions)) {
+        if (!known.includes(key) && !INTERNAL_KEY.test(key)) problems.push(`unknown lean option "${key}"${suggestion(key, knownOptions)}`);
+    }
+
+    const { rename, stringifyKeys, hide, keep, cache, byType } = leanOptions;
+    if (rename !== undefined && (typeof rename !== "string" || rename.length === 0)) {
+        problems.push(`rename must be a non-empty string, got ${JSON.stringify(rename)}`);
+    } else if (rename && rename !== "_id" && schema && ["real", "nested"].includes(schema.pathType(rename))) {
+        problems.push(`rename "${rename}" collides with the "${rename}" field of the schema`);
+    }
+
+    if (cache !== undefined && cache !== false && !ttlOf(cache)) {
+        problems.push(`cache must be { ttl } with a positive ttl in milliseconds, got ${JSON.stringify(cache)}`);
+    }
+
+    for (const [option, paths] of Object.entries({ hide, keep })) {
+        if (paths !== undefined && (!Array.isArray(paths) || paths.some((path) => typeof path !== "string"))) {
+            problems.push(`${option} must be an array of paths, got ${JSON.stringify(paths)}`);
+        }
+    }
+
+    if (stringifyKeys !== undefined && stringifyKeys !== "auto") {
+        if (!Array.isArray(stringifyKeys) || stringifyKeys.some((path) => typeof path !== "string")) {
+            problems.push(`stringifyKeys must be "auto" or an array of paths, got ${JSON.stringify(stringifyKeys)}`);
+        } else if (schema && !context.aggregate && ownLeanOptions(leanOptions).stringifyKeys === stringifyKeys) {
+            // Aggregation results are shaped by their pipeline, their paths need not be the schema's
+            // and default paths (e.g. a global stringifyKeys: ["owner"]) apply to the schemas that have them
+            for (const path of stringifyKeys) {
+                if (!hasPath(schema, path)) problems.push(`stringifyKeys path "${path}" is not a path of the schema`);
+            }
+        }
+    }
+
+    if (byType !== undefined && knownOptions.includes("byType")) problems.push(...byTypeProblems(byType, context, knownOptions));
+    return problems;
+}
+
+/** Reports the problems of a query's lean options
+ *
+ * @param {Object} leanOptions the resolved lean options, the strict option included
+ * @param {Object} context { model, populating, aggregate }, populate queries are left alone, their options are the parent query's
+ * @param {Array<string>} knownOptions names of the options the pipeline reads
+ * @throws {TypeError} with the strict option, on the first problem found
+ */
+module.exports = function validateLeanOptions(leanOptions, context, knownOptions) {
+    if (context.populating) return;
+    const problems = problemsOf(leanOptions, context, knownOptions);
+    if (problems.length === 0) return;
+
+    const modelName = context.model?.modelName ?? "unknown model";
+    if (leanOptions.strict) {
+        throw new TypeError(`mongoose-lean-extension: ${problems[0]} (${modelName})`);
+    }
+    for (const problem of problems) {
+        const id = `${modelName}:${problem}`;
+        if (warned.has(id)) continue;
+        warned.add(id);
+        process.emitWarning(`${problem} (${modelName})`, { code: "MONGOOSE_LEAN_EXTENSION_INVALID_OPTION" });
+    }
+};